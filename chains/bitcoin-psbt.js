@@ -0,0 +1,663 @@
+/**
+ * Bitcoin PSBT (BIP-174)
+ * Partially signed transactions and raw transaction serialization
+ */
+
+class BitcoinPSBT {
+    constructor(tx = null) {
+        this.tx = tx || { version: 2, locktime: 0, inputs: [], outputs: [] };
+        this.globalUnknown = [];
+        this.inputs = this.tx.inputs.map(() => BitcoinPSBT.emptyInput());
+        this.outputs = this.tx.outputs.map(() => BitcoinPSBT.emptyOutput());
+    }
+    
+    /**
+     * Empty per-input map
+     */
+    static emptyInput() {
+        return {
+            witnessUtxo: null,
+            nonWitnessUtxo: null,
+            partialSigs: [],
+            sighashType: null,
+            bip32Derivation: [],
+            finalScriptSig: null,
+            finalScriptWitness: null,
+            unknown: []
+        };
+    }
+    
+    /**
+     * Empty per-output map
+     */
+    static emptyOutput() {
+        return {
+            bip32Derivation: [],
+            unknown: []
+        };
+    }
+    
+    /**
+     * Add input (txid in display byte order)
+     */
+    addInput(input, data = {}) {
+        this.tx.inputs.push({
+            txid: input.txid,
+            vout: input.vout,
+            sequence: input.sequence !== undefined ? input.sequence : 0xffffffff
+        });
+        this.inputs.push({ ...BitcoinPSBT.emptyInput(), ...data });
+        return this.tx.inputs.length - 1;
+    }
+    
+    /**
+     * Add output (value in satoshis, script as bytes)
+     */
+    addOutput(output, data = {}) {
+        this.tx.outputs.push({
+            value: output.value,
+            script: ethers.utils.arrayify(output.script)
+        });
+        this.outputs.push({ ...BitcoinPSBT.emptyOutput(), ...data });
+        return this.tx.outputs.length - 1;
+    }
+    
+    /**
+     * Total value of inputs (requires UTXO data)
+     */
+    getInputValue() {
+        return this.inputs.reduce((sum, input, index) => {
+            const utxo = this.getInputUtxo(index);
+            if (!utxo) {
+                throw new Error(`Missing UTXO data for input ${index}`);
+            }
+            return sum + utxo.value;
+        }, 0);
+    }
+    
+    /**
+     * Total value of outputs
+     */
+    getOutputValue() {
+        return this.tx.outputs.reduce((sum, output) => sum + output.value, 0);
+    }
+    
+    /**
+     * Fee paid in satoshis
+     */
+    getFee() {
+        return this.getInputValue() - this.getOutputValue();
+    }
+    
+    /**
+     * Spent output for input (witness or full previous transaction)
+     */
+    getInputUtxo(index) {
+        const input = this.inputs[index];
+        if (input.witnessUtxo) {
+            return input.witnessUtxo;
+        }
+        
+        if (input.nonWitnessUtxo) {
+            const prevTx = BitcoinPSBT.parseTransaction(input.nonWitnessUtxo);
+            return prevTx.outputs[this.tx.inputs[index].vout];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check whether every input has a final script
+     */
+    isFinalized() {
+        return this.inputs.every(input => input.finalScriptWitness || input.finalScriptSig);
+    }
+    
+    /**
+     * BIP-143 signature hash for a SegWit v0 input
+     */
+    getWitnessSighash(index, scriptCode, value, sighashType = 0x01) {
+        const tx = this.tx;
+        const anyoneCanPay = (sighashType & 0x80) !== 0;
+        const baseType = sighashType & 0x1f;
+        const zero = new Uint8Array(32);
+        
+        let hashPrevouts = zero;
+        if (!anyoneCanPay) {
+            const writer = new BitcoinPSBT.Writer();
+            tx.inputs.forEach(input => writer.writeOutpoint(input));
+            hashPrevouts = BitcoinPSBT.hash256(writer.toBytes());
+        }
+        
+        let hashSequence = zero;
+        if (!anyoneCanPay && baseType !== 0x02 && baseType !== 0x03) {
+            const writer = new BitcoinPSBT.Writer();
+            tx.inputs.forEach(input => writer.writeUInt32(input.sequence));
+            hashSequence = BitcoinPSBT.hash256(writer.toBytes());
+        }
+        
+        let hashOutputs = zero;
+        if (baseType !== 0x02 && baseType !== 0x03) {
+            const writer = new BitcoinPSBT.Writer();
+            tx.outputs.forEach(output => writer.writeOutput(output));
+            hashOutputs = BitcoinPSBT.hash256(writer.toBytes());
+        } else if (baseType === 0x03 && index < tx.outputs.length) {
+            const writer = new BitcoinPSBT.Writer();
+            writer.writeOutput(tx.outputs[index]);
+            hashOutputs = BitcoinPSBT.hash256(writer.toBytes());
+        }
+        
+        const input = tx.inputs[index];
+        const writer = new BitcoinPSBT.Writer();
+        writer.writeUInt32(tx.version);
+        writer.writeBytes(hashPrevouts);
+        writer.writeBytes(hashSequence);
+        writer.writeOutpoint(input);
+        writer.writeVarBytes(scriptCode);
+        writer.writeUInt64(value);
+        writer.writeUInt32(input.sequence);
+        writer.writeBytes(hashOutputs);
+        writer.writeUInt32(tx.locktime);
+        writer.writeUInt32(sighashType);
+        
+        return BitcoinPSBT.hash256(writer.toBytes());
+    }
+    
+    /**
+     * Extract final signed transaction
+     */
+    extractTransaction() {
+        if (!this.isFinalized()) {
+            throw new Error('PSBT is not finalized');
+        }
+        
+        const tx = {
+            ...this.tx,
+            inputs: this.tx.inputs.map((input, index) => ({
+                ...input,
+                scriptSig: this.inputs[index].finalScriptSig || new Uint8Array(0),
+                witness: this.inputs[index].finalScriptWitness || []
+            }))
+        };
+        
+        return BitcoinPSBT.serializeTransaction(tx, true);
+    }
+    
+    /**
+     * Serialize PSBT to bytes
+     */
+    toBytes() {
+        const writer = new BitcoinPSBT.Writer();
+        writer.writeBytes([0x70, 0x73, 0x62, 0x74, 0xff]); // 'psbt' + 0xff
+        
+        // Global map
+        writer.writeKeyValue([0x00], BitcoinPSBT.serializeTransaction(this.tx, false));
+        this.globalUnknown.forEach(pair => writer.writeKeyValue(pair.key, pair.value));
+        writer.writeUInt8(0x00);
+        
+        // Input maps
+        this.inputs.forEach(input => {
+            if (input.nonWitnessUtxo) {
+                writer.writeKeyValue([0x00], input.nonWitnessUtxo);
+            }
+            if (input.witnessUtxo) {
+                const utxo = new BitcoinPSBT.Writer();
+                utxo.writeOutput(input.witnessUtxo);
+                writer.writeKeyValue([0x01], utxo.toBytes());
+            }
+            input.partialSigs.forEach(partial => {
+                writer.writeKeyValue([0x02, ...partial.pubkey], partial.signature);
+            });
+            if (input.sighashType !== null) {
+                const sighash = new BitcoinPSBT.Writer();
+                sighash.writeUInt32(input.sighashType);
+                writer.writeKeyValue([0x03], sighash.toBytes());
+            }
+            input.bip32Derivation.forEach(derivation => {
+                writer.writeKeyValue(
+                    [0x06, ...derivation.pubkey],
+                    BitcoinPSBT.serializeDerivation(derivation)
+                );
+            });
+            if (input.finalScriptSig) {
+                writer.writeKeyValue([0x07], input.finalScriptSig);
+            }
+            if (input.finalScriptWitness) {
+                writer.writeKeyValue([0x08], BitcoinPSBT.serializeWitness(input.finalScriptWitness));
+            }
+            input.unknown.forEach(pair => writer.writeKeyValue(pair.key, pair.value));
+            writer.writeUInt8(0x00);
+        });
+        
+        // Output maps
+        this.outputs.forEach(output => {
+            output.bip32Derivation.forEach(derivation => {
+                writer.writeKeyValue(
+                    [0x02, ...derivation.pubkey],
+                    BitcoinPSBT.serializeDerivation(derivation)
+                );
+            });
+            output.unknown.forEach(pair => writer.writeKeyValue(pair.key, pair.value));
+            writer.writeUInt8(0x00);
+        });
+        
+        return writer.toBytes();
+    }
+    
+    /**
+     * Serialize PSBT to base64
+     */
+    toBase64() {
+        return ethers.utils.base64.encode(this.toBytes());
+    }
+    
+    /**
+     * Parse PSBT from base64
+     */
+    static fromBase64(base64) {
+        return BitcoinPSBT.fromBytes(ethers.utils.base64.decode(base64.trim()));
+    }
+    
+    /**
+     * Parse PSBT from bytes
+     */
+    static fromBytes(bytes) {
+        const reader = new BitcoinPSBT.Reader(ethers.utils.arrayify(bytes));
+        const magic = reader.readBytes(5);
+        if (magic[0] !== 0x70 || magic[1] !== 0x73 || magic[2] !== 0x62 ||
+            magic[3] !== 0x74 || magic[4] !== 0xff) {
+            throw new Error('Invalid PSBT magic bytes');
+        }
+        
+        // Global map
+        let tx = null;
+        const globalUnknown = [];
+        for (const pair of reader.readMap()) {
+            if (pair.key.length === 1 && pair.key[0] === 0x00) {
+                tx = BitcoinPSBT.parseTransaction(pair.value);
+            } else {
+                globalUnknown.push(pair);
+            }
+        }
+        
+        if (!tx) {
+            throw new Error('PSBT is missing the unsigned transaction');
+        }
+        
+        const psbt = new BitcoinPSBT(tx);
+        psbt.globalUnknown = globalUnknown;
+        
+        // Input maps
+        psbt.inputs = tx.inputs.map(() => {
+            const input = BitcoinPSBT.emptyInput();
+            for (const pair of reader.readMap()) {
+                const keyData = pair.key.slice(1);
+                switch (pair.key[0]) {
+                    case 0x00:
+                        input.nonWitnessUtxo = pair.value;
+                        break;
+                    case 0x01: {
+                        const utxo = new BitcoinPSBT.Reader(pair.value);
+                        input.witnessUtxo = utxo.readOutput();
+                        break;
+                    }
+                    case 0x02:
+                        input.partialSigs.push({ pubkey: keyData, signature: pair.value });
+                        break;
+                    case 0x03:
+                        input.sighashType = new BitcoinPSBT.Reader(pair.value).readUInt32();
+                        break;
+                    case 0x06:
+                        input.bip32Derivation.push(BitcoinPSBT.parseDerivation(keyData, pair.value));
+                        break;
+                    case 0x07:
+                        input.finalScriptSig = pair.value;
+                        break;
+                    case 0x08:
+                        input.finalScriptWitness = BitcoinPSBT.parseWitness(pair.value);
+                        break;
+                    default:
+                        input.unknown.push(pair);
+                }
+            }
+            return input;
+        });
+        
+        // Output maps
+        psbt.outputs = tx.outputs.map(() => {
+            const output = BitcoinPSBT.emptyOutput();
+            for (const pair of reader.readMap()) {
+                if (pair.key[0] === 0x02) {
+                    output.bip32Derivation.push(
+                        BitcoinPSBT.parseDerivation(pair.key.slice(1), pair.value)
+                    );
+                } else {
+                    output.unknown.push(pair);
+                }
+            }
+            return output;
+        });
+        
+        return psbt;
+    }
+    
+    /**
+     * Serialize raw transaction (optionally with witness data)
+     */
+    static serializeTransaction(tx, withWitness = true) {
+        const hasWitness = withWitness &&
+            tx.inputs.some(input => input.witness && input.witness.length > 0);
+        
+        const writer = new BitcoinPSBT.Writer();
+        writer.writeUInt32(tx.version);
+        
+        if (hasWitness) {
+            writer.writeBytes([0x00, 0x01]); // marker + flag
+        }
+        
+        writer.writeVarInt(tx.inputs.length);
+        tx.inputs.forEach(input => {
+            writer.writeOutpoint(input);
+            writer.writeVarBytes(input.scriptSig || []);
+            writer.writeUInt32(input.sequence);
+        });
+        
+        writer.writeVarInt(tx.outputs.length);
+        tx.outputs.forEach(output => writer.writeOutput(output));
+        
+        if (hasWitness) {
+            tx.inputs.forEach(input => {
+                writer.writeBytes(BitcoinPSBT.serializeWitness(input.witness || []));
+            });
+        }
+        
+        writer.writeUInt32(tx.locktime);
+        
+        return writer.toBytes();
+    }
+    
+    /**
+     * Parse raw transaction (with or without witness data)
+     */
+    static parseTransaction(bytes) {
+        const reader = new BitcoinPSBT.Reader(ethers.utils.arrayify(bytes));
+        const tx = { version: reader.readUInt32(), inputs: [], outputs: [] };
+        
+        let hasWitness = false;
+        if (reader.peek() === 0x00) {
+            reader.readBytes(2); // marker + flag
+            hasWitness = true;
+        }
+        
+        const inputCount = reader.readVarInt();
+        for (let i = 0; i < inputCount; i++) {
+            const outpoint = reader.readOutpoint();
+            tx.inputs.push({
+                ...outpoint,
+                scriptSig: reader.readVarBytes(),
+                sequence: reader.readUInt32(),
+                witness: []
+            });
+        }
+        
+        const outputCount = reader.readVarInt();
+        for (let i = 0; i < outputCount; i++) {
+            tx.outputs.push(reader.readOutput());
+        }
+        
+        if (hasWitness) {
+            tx.inputs.forEach(input => {
+                const items = reader.readVarInt();
+                for (let i = 0; i < items; i++) {
+                    input.witness.push(reader.readVarBytes());
+                }
+            });
+        }
+        
+        tx.locktime = reader.readUInt32();
+        
+        return tx;
+    }
+    
+    /**
+     * Transaction ID (hash of non-witness serialization, display order)
+     */
+    static getTxid(tx) {
+        const hash = BitcoinPSBT.hash256(BitcoinPSBT.serializeTransaction(tx, false));
+        return ethers.utils.hexlify(hash.slice().reverse()).slice(2);
+    }
+    
+    /**
+     * Virtual size of a signed transaction
+     */
+    static getVirtualSize(tx) {
+        const base = BitcoinPSBT.serializeTransaction(tx, false).length;
+        const total = BitcoinPSBT.serializeTransaction(tx, true).length;
+        return Math.ceil((base * 3 + total) / 4);
+    }
+    
+    /**
+     * Double SHA-256
+     */
+    static hash256(data) {
+        return ethers.utils.arrayify(
+            ethers.utils.sha256(ethers.utils.sha256(data))
+        );
+    }
+    
+    /**
+     * Serialize witness stack
+     */
+    static serializeWitness(items) {
+        const writer = new BitcoinPSBT.Writer();
+        writer.writeVarInt(items.length);
+        items.forEach(item => writer.writeVarBytes(item));
+        return writer.toBytes();
+    }
+    
+    /**
+     * Parse witness stack
+     */
+    static parseWitness(bytes) {
+        const reader = new BitcoinPSBT.Reader(bytes);
+        const count = reader.readVarInt();
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            items.push(reader.readVarBytes());
+        }
+        return items;
+    }
+    
+    /**
+     * Serialize BIP-32 derivation (fingerprint + path)
+     */
+    static serializeDerivation(derivation) {
+        const writer = new BitcoinPSBT.Writer();
+        writer.writeBytes(derivation.fingerprint);
+        BitcoinPSBT.parsePath(derivation.path).forEach(index => writer.writeUInt32(index));
+        return writer.toBytes();
+    }
+    
+    /**
+     * Parse BIP-32 derivation
+     */
+    static parseDerivation(pubkey, value) {
+        const reader = new BitcoinPSBT.Reader(value);
+        const fingerprint = reader.readBytes(4);
+        const path = ['m'];
+        while (reader.remaining() >= 4) {
+            const index = reader.readUInt32();
+            path.push(index >= 0x80000000 ? `${index - 0x80000000}'` : `${index}`);
+        }
+        return { pubkey, fingerprint, path: path.join('/') };
+    }
+    
+    /**
+     * Convert derivation path string to indices
+     */
+    static parsePath(path) {
+        return path.split('/').slice(1).map(component => {
+            const hardened = component.endsWith("'") || component.endsWith('h');
+            const index = parseInt(component, 10);
+            return hardened ? index + 0x80000000 : index;
+        });
+    }
+}
+
+/**
+ * Byte writer (little-endian)
+ */
+BitcoinPSBT.Writer = class {
+    constructor() {
+        this.bytes = [];
+    }
+    
+    writeUInt8(value) {
+        this.bytes.push(value & 0xff);
+    }
+    
+    writeUInt32(value) {
+        for (let i = 0; i < 4; i++) {
+            this.bytes.push(Math.floor(value / Math.pow(2, 8 * i)) & 0xff);
+        }
+    }
+    
+    writeUInt64(value) {
+        this.writeUInt32(value % 0x100000000);
+        this.writeUInt32(Math.floor(value / 0x100000000));
+    }
+    
+    writeVarInt(value) {
+        if (value < 0xfd) {
+            this.writeUInt8(value);
+        } else if (value <= 0xffff) {
+            this.writeUInt8(0xfd);
+            this.writeUInt8(value);
+            this.writeUInt8(value >> 8);
+        } else if (value <= 0xffffffff) {
+            this.writeUInt8(0xfe);
+            this.writeUInt32(value);
+        } else {
+            this.writeUInt8(0xff);
+            this.writeUInt64(value);
+        }
+    }
+    
+    writeBytes(bytes) {
+        for (const byte of bytes) {
+            this.bytes.push(byte);
+        }
+    }
+    
+    writeVarBytes(bytes) {
+        this.writeVarInt(bytes.length);
+        this.writeBytes(bytes);
+    }
+    
+    writeOutpoint(input) {
+        // txid is stored in display order, serialized reversed
+        this.writeBytes(ethers.utils.arrayify('0x' + input.txid).reverse());
+        this.writeUInt32(input.vout);
+    }
+    
+    writeOutput(output) {
+        this.writeUInt64(output.value);
+        this.writeVarBytes(output.script);
+    }
+    
+    writeKeyValue(key, value) {
+        this.writeVarBytes(key);
+        this.writeVarBytes(value);
+    }
+    
+    toBytes() {
+        return Uint8Array.from(this.bytes);
+    }
+};
+
+/**
+ * Byte reader (little-endian)
+ */
+BitcoinPSBT.Reader = class {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+    
+    remaining() {
+        return this.bytes.length - this.offset;
+    }
+    
+    peek() {
+        return this.bytes[this.offset];
+    }
+    
+    readUInt8() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Unexpected end of data');
+        }
+        return this.bytes[this.offset++];
+    }
+    
+    readUInt32() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            value += this.readUInt8() * Math.pow(2, 8 * i);
+        }
+        return value;
+    }
+    
+    readUInt64() {
+        const low = this.readUInt32();
+        const high = this.readUInt32();
+        return high * 0x100000000 + low;
+    }
+    
+    readVarInt() {
+        const first = this.readUInt8();
+        if (first < 0xfd) return first;
+        if (first === 0xfd) return this.readUInt8() | (this.readUInt8() << 8);
+        if (first === 0xfe) return this.readUInt32();
+        return this.readUInt64();
+    }
+    
+    readBytes(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Unexpected end of data');
+        }
+        const bytes = this.bytes.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+    
+    readVarBytes() {
+        return this.readBytes(this.readVarInt());
+    }
+    
+    readOutpoint() {
+        const txid = ethers.utils.hexlify(this.readBytes(32).reverse()).slice(2);
+        return { txid, vout: this.readUInt32() };
+    }
+    
+    readOutput() {
+        return { value: this.readUInt64(), script: this.readVarBytes() };
+    }
+    
+    readMap() {
+        const pairs = [];
+        while (true) {
+            const keyLength = this.readVarInt();
+            if (keyLength === 0) break;
+            const key = this.readBytes(keyLength);
+            pairs.push({ key, value: this.readVarBytes() });
+        }
+        return pairs;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BitcoinPSBT;
+} else {
+    window.BitcoinPSBT = BitcoinPSBT;
+}
\ No newline at end of file
@@ -9,10 +9,23 @@ class BitcoinChain {
         this.symbol = 'BTC';
         this.decimals = 8;
         this.network = 'mainnet';
-        this.derivationPath = "m/44'/0'/0'/0/0";
+        this.derivationPath = "m/84'/0'/0'/0/0";
+        this.accountPath = "m/84'/0'/0'";
+        this.bech32Prefix = 'bc';
+        this.dustThreshold = 546; // satoshis
+        this.rbfSequence = 0xfffffffd; // BIP-125 opt-in
+        this.minRelayFeeRate = 1; // sat/vByte
+        this.coinSelectionStrategies = ['branch-and-bound', 'largest-first', 'privacy'];
+        this.feePriorities = { slow: 'hourFee', normal: 'halfHourFee', fast: 'fastestFee' };
+        this.historyPageSize = 25; // confirmed transactions per Esplora page
         
-        // BitcoinJS would be needed for full functionality
-        // This is a simplified implementation
+        // Extended public key version bytes (SLIP-132); zpub is re-encoded as xpub
+        this.xpubVersion = '0x0488b21e';
+        this.zpubVersion = '0x04b24746';
+        
+        // BIP-84 native SegWit (P2WPKH)
+        // BIP-32 derivation is done with ethers HDNode (secp256k1)
+        this.bech32Charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
     }
     
     /**
@@ -27,28 +40,557 @@ class BitcoinChain {
     }
     
     /**
-     * Get address from seed (simplified)
+     * Get BIP-84 account path (m/84'/0'/account')
+     */
+    getAccountPath(account = 0) {
+        return this.accountPath.replace(/\d+'$/, `${account}'`);
+    }
+    
+    /**
+     * Get first receive address of account from seed (m/84'/0'/account'/0/0)
+     */
+    async getAddressFromSeed(seed, account = 0) {
+        const node = this.deriveNode(seed, 0, 0, account);
+        return this.publicKeyToAddress(node.publicKey);
+    }
+    
+    /**
+     * Get first receive key of account from mnemonic (m/84'/0'/account'/0/0)
+     */
+    async getPrivateKeyFromMnemonic(mnemonic, account = 0, passphrase = '') {
+        const seed = await Mnemonic.mnemonicToSeed(mnemonic, passphrase);
+        const node = this.deriveNode(seed, 0, 0, account);
+        
+        SecurityConfig.zeroBuffer(seed);
+        
+        return node.privateKey;
+    }
+    
+    /**
+     * Derive BIP-32 node for receive (0) or change (1) chain
+     */
+    deriveNode(seed, index = 0, change = 0, account = 0) {
+        const root = ethers.utils.HDNode.fromSeed(seed);
+        return root.derivePath(`${this.getAccountPath(account)}/${change}/${index}`);
+    }
+    
+    /**
+     * Get account extended private key (m/84'/0'/account')
+     */
+    async getAccountKeyFromMnemonic(mnemonic, account = 0, passphrase = '') {
+        const seed = await Mnemonic.mnemonicToSeed(mnemonic, passphrase);
+        const node = ethers.utils.HDNode.fromSeed(seed).derivePath(this.getAccountPath(account));
+        
+        SecurityConfig.zeroBuffer(seed);
+        
+        return node.extendedKey;
+    }
+    
+    /**
+     * Create account state (public data only) before discovery
+     */
+    createAccountState(seed, account = 0) {
+        const root = ethers.utils.HDNode.fromSeed(seed);
+        const path = this.getAccountPath(account);
+        const node = root.derivePath(path);
+        
+        return {
+            xpub: node.neuter().extendedKey,
+            fingerprint: root.fingerprint,
+            path: path,
+            receive: [],
+            change: [],
+            nextReceiveIndex: 0,
+            nextChangeIndex: 0,
+            discoveredAt: null
+        };
+    }
+    
+    /**
+     * Derive address of the account on receive (0) or change (1) chain
+     */
+    deriveAccountAddress(account, change, index) {
+        const node = ethers.utils.HDNode.fromExtendedKey(account.xpub)
+            .derivePath(`${change}/${index}`);
+        
+        return {
+            address: this.publicKeyToAddress(node.publicKey),
+            publicKey: node.publicKey,
+            change: change,
+            index: index,
+            path: `${account.path}/${change}/${index}`
+        };
+    }
+    
+    /**
+     * Get known account addresses plus the current receive and change address
+     */
+    getAccountEntries(account) {
+        const entries = new Map();
+        
+        [
+            ...account.receive.map(entry => ({ ...entry, change: 0 })),
+            ...account.change.map(entry => ({ ...entry, change: 1 })),
+            { index: account.nextReceiveIndex, change: 0 },
+            { index: account.nextChangeIndex, change: 1 }
+        ].forEach(entry => {
+            const derived = this.deriveAccountAddress(account, entry.change, entry.index);
+            entries.set(derived.address, { ...derived, used: !!entry.used });
+        });
+        
+        return Array.from(entries.values());
+    }
+    
+    /**
+     * Get all account addresses
+     */
+    getAccountAddresses(account) {
+        return this.getAccountEntries(account).map(entry => entry.address);
+    }
+    
+    /**
+     * Check whether a key is an extended private key (xprv)
+     */
+    isExtendedKey(key) {
+        return typeof key === 'string' && key.startsWith('xprv');
+    }
+    
+    /**
+     * Check whether a key is an extended public key (xpub or zpub)
+     */
+    isExtendedPublicKey(key) {
+        if (typeof key !== 'string' || !/^[xz]pub/.test(key)) {
+            return false;
+        }
+        
+        try {
+            this.normalizeExtendedPublicKey(key);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Re-encode zpub as xpub so ethers HDNode can read it
+     */
+    normalizeExtendedPublicKey(key) {
+        const decoded = ethers.utils.base58.decode(key);
+        const payload = decoded.slice(0, -4);
+        const checksum = (data) => ethers.utils.arrayify(
+            ethers.utils.sha256(ethers.utils.sha256(data))
+        ).slice(0, 4);
+        
+        if (payload.length !== 78 || !checksum(payload).every((byte, i) => byte === decoded[78 + i])) {
+            throw new Error('Invalid extended public key');
+        }
+        
+        const version = ethers.utils.hexlify(payload.slice(0, 4));
+        if (version !== this.xpubVersion && version !== this.zpubVersion) {
+            throw new Error('Unsupported extended public key version');
+        }
+        
+        const xpub = Uint8Array.from([...ethers.utils.arrayify(this.xpubVersion), ...payload.slice(4)]);
+        return ethers.utils.base58.encode(Uint8Array.from([...xpub, ...checksum(xpub)]));
+    }
+    
+    /**
+     * Create watch-only account state from an account-level xpub/zpub
+     * fingerprint (master key) and path are only needed for external signers
+     */
+    createWatchAccountState(extendedKey, options = {}) {
+        const xpub = this.normalizeExtendedPublicKey(extendedKey);
+        const node = ethers.utils.HDNode.fromExtendedKey(xpub);
+        
+        if (node.depth !== 3) {
+            throw new Error('Expected an account-level extended public key (depth 3)');
+        }
+        
+        return {
+            xpub: xpub,
+            fingerprint: options.fingerprint || null,
+            path: options.path || this.accountPath,
+            receive: [],
+            change: [],
+            nextReceiveIndex: 0,
+            nextChangeIndex: 0,
+            discoveredAt: null
+        };
+    }
+    
+    /**
+     * Get address usage and balance from public API
+     */
+    async getAddressInfo(address) {
+        const response = await fetch(
+            `https://blockstream.info/api/address/${address}`
+        );
+        if (!response.ok) {
+            throw new Error(`Failed to fetch address: ${address}`);
+        }
+        const data = await response.json();
+        
+        return {
+            address: address,
+            used: data.chain_stats.tx_count + data.mempool_stats.tx_count > 0,
+            funded: data.chain_stats.funded_txo_sum || 0,
+            spent: data.chain_stats.spent_txo_sum || 0
+        };
+    }
+    
+    /**
+     * Scan receive and change chains until gapLimit consecutive unused addresses
+     */
+    async discoverAccount(account, gapLimit = AppConfig.wallet.bitcoinGapLimit) {
+        const discovered = { ...account };
+        const branches = [
+            { change: 0, list: 'receive', next: 'nextReceiveIndex' },
+            { change: 1, list: 'change', next: 'nextChangeIndex' }
+        ];
+        
+        for (const branch of branches) {
+            const addresses = [];
+            let lastUsed = -1;
+            let scanned = 0;
+            
+            // Query one gap-limit sized window at a time
+            while (scanned - (lastUsed + 1) < gapLimit) {
+                const batch = [];
+                for (let i = 0; i < gapLimit; i++) {
+                    batch.push(this.deriveAccountAddress(account, branch.change, scanned + i));
+                }
+                
+                const infos = await Promise.all(
+                    batch.map(entry => this.getAddressInfo(entry.address))
+                );
+                
+                batch.forEach((entry, i) => {
+                    if (infos[i].used) {
+                        lastUsed = entry.index;
+                    }
+                    addresses.push({ address: entry.address, index: entry.index, used: infos[i].used });
+                });
+                
+                scanned += gapLimit;
+            }
+            
+            discovered[branch.list] = addresses.filter(entry => entry.index <= lastUsed);
+            discovered[branch.next] = lastUsed + 1;
+        }
+        
+        discovered.discoveredAt = Date.now();
+        
+        return discovered;
+    }
+    
+    /**
+     * Get unused receive address, skipping any that received funds since
+     */
+    async getFreshReceiveAddress(account) {
+        const updated = { ...account, receive: [...account.receive] };
+        
+        try {
+            let entry = this.deriveAccountAddress(updated, 0, updated.nextReceiveIndex);
+            
+            while ((await this.getAddressInfo(entry.address)).used) {
+                updated.receive.push({ address: entry.address, index: entry.index, used: true });
+                updated.nextReceiveIndex++;
+                entry = this.deriveAccountAddress(updated, 0, updated.nextReceiveIndex);
+            }
+            
+        } catch (error) {
+            // Offline - hand out the current receive address
+            console.warn('Failed to check receive address usage:', error);
+        }
+        
+        return {
+            address: this.deriveAccountAddress(updated, 0, updated.nextReceiveIndex).address,
+            account: updated
+        };
+    }
+    
+    /**
+     * Mark account address as used, advancing the next index past it
+     */
+    markAddressUsed(account, address) {
+        const entry = this.getAccountEntries(account).find(e => e.address === address);
+        if (!entry || entry.used) {
+            return account;
+        }
+        
+        const list = entry.change === 1 ? 'change' : 'receive';
+        const next = entry.change === 1 ? 'nextChangeIndex' : 'nextReceiveIndex';
+        
+        return {
+            ...account,
+            [list]: [
+                ...account[list].filter(e => e.index !== entry.index),
+                { address: entry.address, index: entry.index, used: true }
+            ].sort((a, b) => a.index - b.index),
+            [next]: Math.max(account[next], entry.index + 1)
+        };
+    }
+    
+    /**
+     * Add BIP-32 derivation info for account inputs and outputs
+     */
+    addDerivations(psbt, account) {
+        const entries = new Map(
+            this.getAccountEntries(account).map(entry => [
+                ethers.utils.hexlify(this.addressToScript(entry.address)),
+                entry
+            ])
+        );
+        
+        const derivationFor = (script) => {
+            const entry = entries.get(ethers.utils.hexlify(script));
+            if (!entry || !account.fingerprint) return [];
+            return [{
+                pubkey: ethers.utils.arrayify(entry.publicKey),
+                fingerprint: ethers.utils.arrayify(account.fingerprint),
+                path: entry.path
+            }];
+        };
+        
+        psbt.inputs.forEach((input, index) => {
+            const utxo = psbt.getInputUtxo(index);
+            if (utxo && input.bip32Derivation.length === 0) {
+                input.bip32Derivation = derivationFor(utxo.script);
+            }
+        });
+        
+        psbt.outputs.forEach((output, index) => {
+            if (output.bip32Derivation.length === 0) {
+                output.bip32Derivation = derivationFor(psbt.tx.outputs[index].script);
+            }
+        });
+        
+        return psbt;
+    }
+    
+    /**
+     * Convert public key to P2WPKH address
+     */
+    publicKeyToAddress(publicKey) {
+        const compressed = ethers.utils.computePublicKey(publicKey, true);
+        return this.encodeSegwitAddress(0, this.hash160(compressed));
+    }
+    
+    /**
+     * Convert private key to P2WPKH address
+     */
+    privateKeyToAddress(privateKey) {
+        return this.publicKeyToAddress(ethers.utils.computePublicKey(privateKey, true));
+    }
+    
+    /**
+     * HASH160 (RIPEMD-160 of SHA-256)
+     */
+    hash160(data) {
+        return ethers.utils.arrayify(
+            ethers.utils.ripemd160(ethers.utils.sha256(data))
+        );
+    }
+    
+    /**
+     * Encode witness program as bech32 address (BIP-173)
+     */
+    encodeSegwitAddress(version, program) {
+        const data = [version, ...this.convertBits(program, 8, 5, true)];
+        return this.bech32Encode(this.bech32Prefix, data);
+    }
+    
+    /**
+     * Bech32 encode
+     */
+    bech32Encode(hrp, data) {
+        const checksum = this.bech32CreateChecksum(hrp, data);
+        return hrp + '1' + [...data, ...checksum]
+            .map(value => this.bech32Charset.charAt(value))
+            .join('');
+    }
+    
+    /**
+     * Bech32 checksum
+     */
+    bech32CreateChecksum(hrp, data) {
+        const values = [...this.bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0];
+        const polymod = this.bech32Polymod(values) ^ 1;
+        
+        const checksum = [];
+        for (let i = 0; i < 6; i++) {
+            checksum.push((polymod >> (5 * (5 - i))) & 31);
+        }
+        return checksum;
+    }
+    
+    /**
+     * Bech32 polymod
+     */
+    bech32Polymod(values) {
+        const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+        let chk = 1;
+        
+        for (const value of values) {
+            const top = chk >> 25;
+            chk = ((chk & 0x1ffffff) << 5) ^ value;
+            for (let i = 0; i < 5; i++) {
+                if ((top >> i) & 1) {
+                    chk ^= generator[i];
+                }
+            }
+        }
+        
+        return chk;
+    }
+    
+    /**
+     * Expand human-readable part for checksum
+     */
+    bech32HrpExpand(hrp) {
+        const expanded = [];
+        for (let i = 0; i < hrp.length; i++) {
+            expanded.push(hrp.charCodeAt(i) >> 5);
+        }
+        expanded.push(0);
+        for (let i = 0; i < hrp.length; i++) {
+            expanded.push(hrp.charCodeAt(i) & 31);
+        }
+        return expanded;
+    }
+    
+    /**
+     * Regroup bits (e.g. 8-bit bytes to 5-bit words)
+     */
+    convertBits(data, fromBits, toBits, pad) {
+        let acc = 0;
+        let bits = 0;
+        const result = [];
+        const maxValue = (1 << toBits) - 1;
+        const maxAcc = (1 << (fromBits + toBits - 1)) - 1;
+        
+        for (const value of data) {
+            if (value < 0 || (value >> fromBits) !== 0) {
+                throw new Error('Invalid value for bit conversion');
+            }
+            acc = ((acc << fromBits) | value) & maxAcc;
+            bits += fromBits;
+            while (bits >= toBits) {
+                bits -= toBits;
+                result.push((acc >> bits) & maxValue);
+            }
+        }
+        
+        if (pad) {
+            if (bits > 0) {
+                result.push((acc << (toBits - bits)) & maxValue);
+            }
+        } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+            throw new Error('Invalid padding');
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Decode bech32/bech32m address to witness version and program
+     */
+    decodeSegwitAddress(address) {
+        const lower = address.toLowerCase();
+        if (address !== lower && address !== address.toUpperCase()) {
+            throw new Error('Mixed-case bech32 address');
+        }
+        
+        const separator = lower.lastIndexOf('1');
+        const hrp = lower.slice(0, separator);
+        if (hrp !== this.bech32Prefix) {
+            throw new Error(`Address is not for ${this.network}`);
+        }
+        
+        const data = [];
+        for (const char of lower.slice(separator + 1)) {
+            const value = this.bech32Charset.indexOf(char);
+            if (value === -1) {
+                throw new Error('Invalid bech32 character');
+            }
+            data.push(value);
+        }
+        
+        // Version 0 uses bech32 (BIP-173), later versions bech32m (BIP-350)
+        const version = data[0];
+        const constant = version === 0 ? 1 : 0x2bc830a3;
+        if (this.bech32Polymod([...this.bech32HrpExpand(hrp), ...data]) !== constant) {
+            throw new Error('Invalid bech32 checksum');
+        }
+        
+        const program = this.convertBits(data.slice(1, -6), 5, 8, false);
+        if (program.length < 2 || program.length > 40 ||
+            (version === 0 && program.length !== 20 && program.length !== 32)) {
+            throw new Error('Invalid witness program');
+        }
+        
+        return { version, program };
+    }
+    
+    /**
+     * Convert address to output script
+     */
+    addressToScript(address) {
+        if (address.toLowerCase().startsWith(this.bech32Prefix + '1')) {
+            const { version, program } = this.decodeSegwitAddress(address);
+            const opcode = version === 0 ? 0x00 : 0x50 + version;
+            return Uint8Array.from([opcode, program.length, ...program]);
+        }
+        
+        // Base58Check (legacy P2PKH / P2SH)
+        const decoded = ethers.utils.base58.decode(address);
+        const payload = decoded.slice(0, -4);
+        const checksum = ethers.utils.arrayify(
+            ethers.utils.sha256(ethers.utils.sha256(payload))
+        ).slice(0, 4);
+        
+        if (!checksum.every((byte, i) => byte === decoded[decoded.length - 4 + i])) {
+            throw new Error('Invalid address checksum');
+        }
+        
+        const hash = payload.slice(1);
+        switch (payload[0]) {
+            case 0x00: // P2PKH
+                return Uint8Array.from([0x76, 0xa9, 0x14, ...hash, 0x88, 0xac]);
+            case 0x05: // P2SH
+                return Uint8Array.from([0xa9, 0x14, ...hash, 0x87]);
+            default:
+                throw new Error('Unsupported address version');
+        }
+    }
+    
+    /**
+     * Convert amount in BTC to satoshis
+     */
+    toSatoshis(amount) {
+        return ethers.utils.parseUnits(amount.toString(), this.decimals).toNumber();
+    }
+    
+    /**
+     * Convert satoshis to amount in BTC
      */
-    async getAddressFromSeed(seed) {
-        // In production, use bitcoinjs-lib to derive address
-        // This is a placeholder implementation
-        console.warn('Bitcoin address generation requires bitcoinjs-lib');
-        return 'bc1qplaceholderaddressfordemo';
+    fromSatoshis(satoshis) {
+        return ethers.utils.formatUnits(satoshis, this.decimals);
     }
     
     /**
-     * Get balance from public API
+     * Get balance from public API (address or list of account addresses)
      */
     async getBalanceFromAPI(address) {
         try {
-            const response = await fetch(
-                `https://blockstream.info/api/address/${address}`
+            const addresses = [].concat(address);
+            const infos = await Promise.all(
+                addresses.map(addr => this.getAddressInfo(addr))
             );
-            const data = await response.json();
             
             // Calculate total balance
-            const funded = data.chain_stats.funded_txo_sum || 0;
-            const spent = data.chain_stats.spent_txo_sum || 0;
+            const funded = infos.reduce((sum, info) => sum + info.funded, 0);
+            const spent = infos.reduce((sum, info) => sum + info.spent, 0);
             const balance = (funded - spent) / 100000000; // Convert satoshis to BTC
             
             return balance.toString();
@@ -88,18 +630,17 @@ class BitcoinChain {
      */
     async estimateFee(transaction, provider) {
         try {
-            // Get fee estimates from mempool.space
-            const response = await fetch('https://mempool.space/api/v1/fees/recommended');
-            const fees = await response.json();
-            
-            // Use medium priority fee
-            const feeRate = fees.hourFee || 10; // sat/vByte
-            const estimatedSize = 250; // Typical transaction size in vBytes
+            const feeRate = transaction.feeRate ||
+                (await this.getFeeRate(this.feePriorities[transaction.speed]));
             
-            const feeSatoshis = feeRate * estimatedSize;
-            const feeBTC = feeSatoshis / 100000000;
+            // P2WPKH inputs paying a recipient plus change
+            const p2wpkhScript = new Uint8Array(22);
+            const virtualSize = this.estimateVirtualSize(
+                transaction.inputCount || 1,
+                [p2wpkhScript, p2wpkhScript]
+            );
             
-            return feeBTC.toString();
+            return this.fromSatoshis(Math.ceil(feeRate * virtualSize));
             
         } catch (error) {
             console.error('Failed to estimate Bitcoin fee:', error);
@@ -131,50 +672,1036 @@ class BitcoinChain {
     }
     
     /**
-     * Note: Full Bitcoin transaction signing requires bitcoinjs-lib
-     * This is beyond the scope of this simplified implementation
+     * Get recommended fee rate in sat/vByte
+     */
+    async getFeeRate(priority = 'halfHourFee') {
+        try {
+            const response = await fetch('https://mempool.space/api/v1/fees/recommended');
+            const fees = await response.json();
+            return fees[priority] || fees.hourFee || 10;
+        } catch (error) {
+            console.error('Failed to get Bitcoin fee rate:', error);
+            return 10;
+        }
+    }
+    
+    /**
+     * Estimate virtual size of a P2WPKH-input transaction
      */
+    estimateVirtualSize(inputCount, outputScripts) {
+        // 10.5 vB overhead, 68 vB per P2WPKH input, 8 + script per output
+        const outputs = outputScripts.reduce(
+            (sum, script) => sum + 9 + script.length,
+            0
+        );
+        return Math.ceil(10.5 + inputCount * 68 + outputs);
+    }
     
     /**
-     * Get transaction history from API
+     * Select UTXOs covering amount plus fee
      */
-    async getTransactionHistory(address, limit = 10) {
-        try {
-            const response = await fetch(
-                `https://blockstream.info/api/address/${address}/txs`
-            );
-            const txs = await response.json();
-            
-            return txs.slice(0, limit).map(tx => ({
-                hash: tx.txid,
-                amount: tx.vout
-                    .filter(output => output.scriptpubkey_address === address)
-                    .reduce((sum, output) => sum + output.value, 0) / 100000000,
-                fee: tx.fee / 100000000,
-                confirmed: tx.status.confirmed,
-                timestamp: tx.status.block_time * 1000
-            }));
-            
-        } catch (error) {
-            console.error('Failed to get Bitcoin transaction history:', error);
-            return [];
+    selectCoins(utxos, amount, feeRate, outputScripts, changeScript, strategy = 'branch-and-bound') {
+        let selection = null;
+        
+        switch (strategy) {
+            case 'branch-and-bound':
+                // Fall back to largest-first when no changeless match exists
+                selection = this.selectBranchAndBound(utxos, amount, feeRate, outputScripts, changeScript) ||
+                    this.selectLargestFirst(utxos, amount, feeRate, outputScripts, changeScript);
+                break;
+            case 'largest-first':
+                selection = this.selectLargestFirst(utxos, amount, feeRate, outputScripts, changeScript);
+                break;
+            case 'privacy':
+                selection = this.selectPrivacy(utxos, amount, feeRate, outputScripts, changeScript);
+                break;
+            default:
+                throw new Error(`Unknown coin selection strategy: ${strategy}`);
+        }
+        
+        if (!selection) {
+            throw new Error('Insufficient funds');
         }
+        
+        return selection;
     }
     
     /**
-     * Get UTXOs for address
+     * Work out fee and change for a fixed set of inputs
      */
-    async getUTXOs(address) {
-        try {
-            const response = await fetch(
-                `https://blockstream.info/api/address/${address}/utxo`
-            );
-            return await response.json();
-            
-        } catch (error) {
-            console.error('Failed to get UTXOs:', error);
-            return [];
+    completeSelection(inputs, amount, feeRate, outputScripts, changeScript) {
+        const total = this.sumValues(inputs);
+        
+        // Fee rates can be fractional, outputs must be whole satoshis
+        const feeWithChange = Math.ceil(feeRate *
+            this.estimateVirtualSize(inputs.length, [...outputScripts, changeScript]));
+        const change = total - amount - feeWithChange;
+        if (change >= this.dustThreshold) {
+            return { inputs, fee: feeWithChange, change };
+        }
+        
+        const fee = Math.ceil(feeRate * this.estimateVirtualSize(inputs.length, outputScripts));
+        if (total >= amount + fee) {
+            // Change would be dust - leave it to the miner
+            return { inputs, fee: total - amount, change: 0 };
         }
+        
+        return null;
+    }
+    
+    /**
+     * Largest-first accumulation
+     */
+    selectLargestFirst(utxos, amount, feeRate, outputScripts, changeScript) {
+        const sorted = [...utxos].sort((a, b) => b.value - a.value);
+        const selected = [];
+        
+        for (const utxo of sorted) {
+            selected.push(utxo);
+            
+            const selection = this.completeSelection(
+                selected, amount, feeRate, outputScripts, changeScript
+            );
+            if (selection) {
+                return selection;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Branch-and-bound search for a changeless input set
+     */
+    selectBranchAndBound(utxos, amount, feeRate, outputScripts, changeScript) {
+        const inputCost = feeRate * 68;
+        const target = amount + feeRate * this.estimateVirtualSize(0, outputScripts);
+        
+        // Creating and later spending a change output
+        const costOfChange = feeRate * (9 + changeScript.length) + inputCost;
+        
+        const candidates = utxos
+            .map(utxo => ({ utxo, effectiveValue: utxo.value - inputCost }))
+            .filter(candidate => candidate.effectiveValue > 0)
+            .sort((a, b) => b.effectiveValue - a.effectiveValue);
+        
+        // Remaining value available from index i onwards
+        const remaining = new Array(candidates.length + 1).fill(0);
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            remaining[i] = remaining[i + 1] + candidates[i].effectiveValue;
+        }
+        
+        let best = null;
+        let bestWaste = Infinity;
+        let tries = 0;
+        const maxTries = 100000;
+        const selected = [];
+        
+        const search = (index, value) => {
+            if (++tries > maxTries || value > target + costOfChange) {
+                return;
+            }
+            
+            if (value >= target) {
+                const waste = value - target;
+                if (waste < bestWaste) {
+                    best = [...selected];
+                    bestWaste = waste;
+                }
+                return;
+            }
+            
+            if (index >= candidates.length || value + remaining[index] < target) {
+                return;
+            }
+            
+            // Inclusion branch first, then exclusion
+            selected.push(candidates[index].utxo);
+            search(index + 1, value + candidates[index].effectiveValue);
+            selected.pop();
+            search(index + 1, value);
+        };
+        
+        search(0, 0);
+        
+        if (!best) {
+            return null;
+        }
+        
+        return { inputs: best, fee: this.sumValues(best) - amount, change: 0 };
+    }
+    
+    /**
+     * Privacy-preserving selection
+     * Spends whole address clusters and never merges differently labelled coins
+     */
+    selectPrivacy(utxos, amount, feeRate, outputScripts, changeScript) {
+        const clusters = new Map();
+        
+        utxos.forEach(utxo => {
+            const key = `${utxo.label || ''}|${utxo.address}`;
+            if (!clusters.has(key)) {
+                clusters.set(key, { label: utxo.label || '', utxos: [] });
+            }
+            clusters.get(key).utxos.push(utxo);
+        });
+        
+        const groups = Array.from(clusters.values());
+        
+        // Prefer the smallest single cluster that pays on its own
+        const single = groups
+            .map(group => this.completeSelection(
+                group.utxos, amount, feeRate, outputScripts, changeScript
+            ))
+            .filter(Boolean)
+            .sort((a, b) => this.sumValues(a.inputs) - this.sumValues(b.inputs));
+        
+        if (single.length > 0) {
+            return single[0];
+        }
+        
+        // Otherwise combine clusters sharing a label, largest first
+        const byLabel = new Map();
+        groups.forEach(group => {
+            if (!byLabel.has(group.label)) {
+                byLabel.set(group.label, []);
+            }
+            byLabel.get(group.label).push(group);
+        });
+        
+        for (const labelGroups of byLabel.values()) {
+            labelGroups.sort((a, b) => this.sumValues(b.utxos) - this.sumValues(a.utxos));
+            
+            const selected = [];
+            for (const group of labelGroups) {
+                selected.push(...group.utxos);
+                
+                const selection = this.completeSelection(
+                    selected, amount, feeRate, outputScripts, changeScript
+                );
+                if (selection) {
+                    return selection;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Sum UTXO values
+     */
+    sumValues(utxos) {
+        return utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+    }
+    
+    /**
+     * Build unsigned PSBT paying transaction.to from the given UTXOs
+     */
+    createPSBT(transaction, utxos, changeAddress) {
+        const amount = this.toSatoshis(transaction.amount);
+        const recipientScript = this.addressToScript(transaction.to);
+        const changeScript = this.addressToScript(changeAddress);
+        
+        if (amount < this.dustThreshold) {
+            throw new Error('Amount is below the dust threshold');
+        }
+        
+        let selection;
+        if (transaction.utxos && transaction.utxos.length > 0) {
+            // Manual coin control - spend exactly the chosen outpoints
+            const chosen = transaction.utxos.map(outpoint => {
+                const utxo = utxos.find(u => this.getOutpoint(u) === outpoint);
+                if (!utxo) {
+                    throw new Error(`UTXO not available: ${outpoint}`);
+                }
+                return utxo;
+            });
+            
+            selection = this.completeSelection(
+                chosen, amount, transaction.feeRate, [recipientScript], changeScript
+            );
+            if (!selection) {
+                throw new Error('Selected UTXOs do not cover amount and fee');
+            }
+        } else {
+            selection = this.selectCoins(
+                utxos,
+                amount,
+                transaction.feeRate,
+                [recipientScript],
+                changeScript,
+                transaction.coinSelection
+            );
+        }
+        
+        const psbt = new BitcoinPSBT();
+        
+        // Signal BIP-125 replaceability unless explicitly disabled
+        const sequence = transaction.rbf === false ? 0xffffffff : this.rbfSequence;
+        
+        selection.inputs.forEach(utxo => {
+            psbt.addInput(
+                { txid: utxo.txid, vout: utxo.vout, sequence },
+                {
+                    witnessUtxo: {
+                        value: utxo.value,
+                        script: this.addressToScript(utxo.address)
+                    }
+                }
+            );
+        });
+        
+        psbt.addOutput({ value: amount, script: recipientScript });
+        
+        if (selection.change > 0) {
+            psbt.addOutput({ value: selection.change, script: changeScript });
+        }
+        
+        return psbt;
+    }
+    
+    /**
+     * Build unsigned PSBT spending the UTXOs of an address, or of every
+     * address of transaction.account with change to its next change address
+     */
+    async buildPSBT(transaction, from) {
+        const context = this.getSpendingContext(from, transaction.account);
+        const utxos = await this.getSpendableUTXOs(context.addresses);
+        const feeRate = transaction.feeRate ||
+            (await this.getFeeRate(this.feePriorities[transaction.speed]));
+        
+        const psbt = this.createPSBT({ ...transaction, feeRate }, utxos, context.changeAddress);
+        if (transaction.account) {
+            this.addDerivations(psbt, transaction.account);
+        }
+        
+        return psbt;
+    }
+    
+    /**
+     * Resolve own addresses, change addresses (internal chain) and the next
+     * change address for a single address or account
+     */
+    getSpendingContext(from, account = null) {
+        if (!account) {
+            return { from, addresses: [from], changeAddresses: [from], changeAddress: from };
+        }
+        
+        const entries = this.getAccountEntries(account);
+        
+        return {
+            from: from || this.deriveAccountAddress(account, 0, 0).address,
+            addresses: entries.map(entry => entry.address),
+            changeAddresses: entries.filter(entry => entry.change === 1).map(entry => entry.address),
+            changeAddress: this.deriveAccountAddress(account, 1, account.nextChangeIndex).address
+        };
+    }
+    
+    /**
+     * Sign every P2WPKH input that belongs to the key
+     * (private key, or account xprv resolved via BIP-32 derivations)
+     */
+    signPSBT(psbt, privateKey, sighashType = 0x01) {
+        let signed = 0;
+        
+        psbt.inputs.forEach((input, index) => {
+            const keys = this.isExtendedKey(privateKey)
+                ? this.getDerivedSigningKeys(input, privateKey)
+                : [privateKey];
+            
+            keys.forEach(key => {
+                if (this.signInput(psbt, index, key, sighashType)) {
+                    signed++;
+                }
+            });
+        });
+        
+        if (signed === 0) {
+            throw new Error('No inputs could be signed with this key');
+        }
+        
+        return signed;
+    }
+    
+    /**
+     * Derive input private keys from account xprv and BIP-32 derivations
+     */
+    getDerivedSigningKeys(input, accountKey) {
+        const account = ethers.utils.HDNode.fromExtendedKey(accountKey);
+        
+        return input.bip32Derivation
+            .map(derivation => {
+                // Derivation paths end in <change>/<index> below the account
+                const relative = derivation.path.split('/').slice(-2).join('/');
+                const node = account.derivePath(relative);
+                return this.bytesEqual(ethers.utils.arrayify(node.publicKey), derivation.pubkey)
+                    ? node.privateKey
+                    : null;
+            })
+            .filter(Boolean);
+    }
+    
+    /**
+     * Sign P2WPKH input if it belongs to the private key
+     */
+    signInput(psbt, index, privateKey, sighashType) {
+        const signingKey = new ethers.utils.SigningKey(privateKey);
+        const publicKey = ethers.utils.arrayify(signingKey.compressedPublicKey);
+        const pubkeyHash = this.hash160(publicKey);
+        const witnessScript = Uint8Array.from([0x00, 0x14, ...pubkeyHash]);
+        
+        // BIP-143 scriptCode for P2WPKH
+        const scriptCode = Uint8Array.from([0x76, 0xa9, 0x14, ...pubkeyHash, 0x88, 0xac]);
+        
+        const input = psbt.inputs[index];
+        const utxo = psbt.getInputUtxo(index);
+        if (!utxo || !this.bytesEqual(utxo.script, witnessScript)) {
+            return false;
+        }
+        
+        const sighash = psbt.getWitnessSighash(index, scriptCode, utxo.value, sighashType);
+        const signature = signingKey.signDigest(sighash);
+        
+        input.partialSigs = input.partialSigs.filter(
+            partial => !this.bytesEqual(partial.pubkey, publicKey)
+        );
+        input.partialSigs.push({
+            pubkey: publicKey,
+            signature: Uint8Array.from([
+                ...this.encodeDERSignature(signature.r, signature.s),
+                sighashType
+            ])
+        });
+        input.sighashType = sighashType;
+        
+        return true;
+    }
+    
+    /**
+     * Finalize signed P2WPKH inputs
+     */
+    finalizePSBT(psbt) {
+        psbt.inputs.forEach((input, index) => {
+            if (input.finalScriptWitness) {
+                return;
+            }
+            
+            const utxo = psbt.getInputUtxo(index);
+            const isP2WPKH = utxo && utxo.script.length === 22 &&
+                utxo.script[0] === 0x00 && utxo.script[1] === 0x14;
+            
+            if (!isP2WPKH || input.partialSigs.length === 0) {
+                throw new Error(`Input ${index} cannot be finalized`);
+            }
+            
+            const partial = input.partialSigs[0];
+            input.finalScriptWitness = [partial.signature, partial.pubkey];
+            input.partialSigs = [];
+            input.sighashType = null;
+            input.bip32Derivation = [];
+        });
+        
+        return psbt;
+    }
+    
+    /**
+     * Extract signed transaction as hex
+     */
+    extractTransaction(psbt) {
+        return ethers.utils.hexlify(psbt.extractTransaction()).slice(2);
+    }
+    
+    /**
+     * Export PSBT (base64) for other signers
+     */
+    exportPSBT(psbt) {
+        return psbt.toBase64();
+    }
+    
+    /**
+     * Import PSBT from base64
+     */
+    importPSBT(base64) {
+        return BitcoinPSBT.fromBase64(base64);
+    }
+    
+    /**
+     * Send transaction
+     */
+    async sendTransaction(transaction, privateKey, provider) {
+        try {
+            const from = transaction.from ||
+                (transaction.account ? null : this.privateKeyToAddress(privateKey));
+            const context = this.getSpendingContext(from, transaction.account);
+            
+            // Build, sign and finalize
+            const psbt = await this.buildPSBT(transaction, context.from);
+            this.signPSBT(psbt, privateKey);
+            this.finalizePSBT(psbt);
+            
+            const txHex = this.extractTransaction(psbt);
+            const result = await this.broadcastTransactionAPI(txHex);
+            
+            return {
+                hash: result.hash,
+                from: context.from,
+                to: transaction.to,
+                value: transaction.amount,
+                fee: this.fromSatoshis(psbt.getFee()),
+                changeAddress: psbt.tx.outputs.length > 1 ? context.changeAddress : null
+            };
+            
+        } catch (error) {
+            console.error('Bitcoin transaction failed:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Replace unconfirmed transaction with a higher fee version (BIP-125)
+     */
+    async bumpFee(txid, newFeeRate, privateKey, provider, account = null) {
+        try {
+            const original = await this.getTransaction(txid);
+            
+            if (original.status.confirmed) {
+                throw new Error('Transaction is already confirmed');
+            }
+            
+            if (!original.vin.some(input => input.sequence < 0xfffffffe)) {
+                throw new Error('Transaction does not signal replace-by-fee');
+            }
+            
+            const context = this.getSpendingContext(
+                account ? null : this.privateKeyToAddress(privateKey),
+                account
+            );
+            // Only outputs to the internal chain are change, payments to our
+            // own receive addresses are kept whole
+            const change = new Set(context.changeAddresses);
+            
+            // Return change to the original change output when there is one
+            const originalChange = original.vout.find(output => change.has(output.scriptpubkey_address));
+            const changeAddress = originalChange
+                ? originalChange.scriptpubkey_address
+                : context.changeAddress;
+            const ownScript = this.addressToScript(changeAddress);
+            
+            const inputs = original.vin.map(input => ({
+                txid: input.txid,
+                vout: input.vout,
+                value: input.prevout.value,
+                address: input.prevout.scriptpubkey_address
+            }));
+            
+            // Keep payments to others, recompute our change
+            const payments = original.vout
+                .filter(output => !change.has(output.scriptpubkey_address))
+                .map(output => ({
+                    value: output.value,
+                    script: ethers.utils.arrayify('0x' + output.scriptpubkey)
+                }));
+            const paymentTotal = this.sumValues(payments);
+            const paymentScripts = payments.map(payment => payment.script);
+            
+            const originalSize = Math.ceil(original.weight / 4);
+            const originalRate = original.fee / originalSize;
+            if (newFeeRate <= originalRate) {
+                throw new Error(`New fee rate must exceed ${originalRate.toFixed(1)} sat/vB`);
+            }
+            
+            // BIP-125 rule 4: pay at least the old fee plus relay fee for the new size
+            const requiredRate = (size) => Math.max(
+                newFeeRate,
+                (original.fee + this.minRelayFeeRate * size) / size
+            );
+            const completeReplacement = (selected) => {
+                const withChange = this.estimateVirtualSize(selected.length, [...paymentScripts, ownScript]);
+                const withoutChange = this.estimateVirtualSize(selected.length, paymentScripts);
+                return this.completeSelection(
+                    selected,
+                    paymentTotal,
+                    Math.ceil(Math.max(requiredRate(withChange), requiredRate(withoutChange))),
+                    paymentScripts,
+                    ownScript
+                );
+            };
+            
+            let selection = completeReplacement(inputs);
+            
+            // Add more of our coins if the original inputs no longer cover the fee
+            if (!selection) {
+                // BIP-125 rule 2: no new unconfirmed inputs, which also keeps
+                // out the change of the transaction being replaced
+                const spent = new Set(inputs.map(input => this.getOutpoint(input)));
+                const extra = (await this.getSpendableUTXOs(context.addresses))
+                    .filter(utxo => utxo.status && utxo.status.confirmed && utxo.txid !== txid)
+                    .filter(utxo => !spent.has(this.getOutpoint(utxo)))
+                    .sort((a, b) => b.value - a.value);
+                
+                const selected = [...inputs];
+                for (const utxo of extra) {
+                    selected.push(utxo);
+                    selection = completeReplacement(selected);
+                    if (selection) break;
+                }
+            }
+            
+            if (!selection) {
+                throw new Error('Insufficient funds to bump fee');
+            }
+            
+            const psbt = new BitcoinPSBT();
+            selection.inputs.forEach(utxo => {
+                psbt.addInput(
+                    { txid: utxo.txid, vout: utxo.vout, sequence: this.rbfSequence },
+                    { witnessUtxo: { value: utxo.value, script: this.addressToScript(utxo.address) } }
+                );
+            });
+            payments.forEach(payment => psbt.addOutput(payment));
+            if (selection.change > 0) {
+                psbt.addOutput({ value: selection.change, script: ownScript });
+            }
+            if (account) {
+                this.addDerivations(psbt, account);
+            }
+            
+            this.signPSBT(psbt, privateKey);
+            this.finalizePSBT(psbt);
+            
+            const result = await this.broadcastTransactionAPI(this.extractTransaction(psbt));
+            
+            return {
+                hash: result.hash,
+                replaces: txid,
+                from: context.from,
+                to: original.vout.find(output => !change.has(output.scriptpubkey_address))?.scriptpubkey_address,
+                value: this.fromSatoshis(paymentTotal),
+                fee: this.fromSatoshis(psbt.getFee()),
+                changeAddress: selection.change > 0 ? changeAddress : null
+            };
+            
+        } catch (error) {
+            console.error('Failed to bump Bitcoin fee:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Child-pays-for-parent: spend our outputs of an unconfirmed
+     * transaction so the package confirms at the target fee rate
+     */
+    async cpfp(parentTxid, feeRate, privateKey, provider, account = null) {
+        try {
+            const parent = await this.getTransaction(parentTxid);
+            
+            if (parent.status.confirmed) {
+                throw new Error('Transaction is already confirmed');
+            }
+            
+            const context = this.getSpendingContext(
+                account ? null : this.privateKeyToAddress(privateKey),
+                account
+            );
+            const own = new Set(context.addresses);
+            const ownScript = this.addressToScript(context.changeAddress);
+            
+            const owned = parent.vout
+                .map((output, vout) => ({
+                    txid: parentTxid,
+                    vout: vout,
+                    value: output.value,
+                    address: output.scriptpubkey_address
+                }))
+                .filter(output => own.has(output.address));
+            
+            if (owned.length === 0) {
+                throw new Error('Transaction has no outputs paying this wallet');
+            }
+            
+            // Outputs an earlier child already spends cannot be spent again
+            const spent = await Promise.all(owned.map(output => this.isOutputSpent(parentTxid, output.vout)));
+            const inputs = owned.filter((output, i) => !spent[i]);
+            
+            if (inputs.length === 0) {
+                throw new Error('Outputs of this transaction are already spent');
+            }
+            
+            const parentSize = Math.ceil(parent.weight / 4);
+            const childSize = this.estimateVirtualSize(inputs.length, [ownScript]);
+            
+            // Child fee covers the parent's shortfall at the package rate
+            const childFee = Math.max(
+                Math.ceil(feeRate * (parentSize + childSize) - parent.fee),
+                this.minRelayFeeRate * childSize
+            );
+            
+            const value = this.sumValues(inputs) - childFee;
+            if (value < this.dustThreshold) {
+                throw new Error('Outputs are too small to pay for the parent');
+            }
+            
+            const psbt = new BitcoinPSBT();
+            inputs.forEach(input => {
+                psbt.addInput(
+                    { txid: input.txid, vout: input.vout, sequence: this.rbfSequence },
+                    { witnessUtxo: { value: input.value, script: this.addressToScript(input.address) } }
+                );
+            });
+            psbt.addOutput({ value, script: ownScript });
+            if (account) {
+                this.addDerivations(psbt, account);
+            }
+            
+            this.signPSBT(psbt, privateKey);
+            this.finalizePSBT(psbt);
+            
+            const result = await this.broadcastTransactionAPI(this.extractTransaction(psbt));
+            
+            return {
+                hash: result.hash,
+                parent: parentTxid,
+                from: context.from,
+                to: context.changeAddress,
+                value: this.fromSatoshis(value),
+                fee: this.fromSatoshis(childFee),
+                received: this.fromSatoshis(this.sumValues(inputs))
+            };
+            
+        } catch (error) {
+            console.error('Failed to create CPFP transaction:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * DER-encode ECDSA signature
+     */
+    encodeDERSignature(r, s) {
+        const encodeInteger = (value) => {
+            let bytes = Array.from(ethers.utils.arrayify(value));
+            while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+                bytes.shift();
+            }
+            if (bytes[0] & 0x80) {
+                bytes = [0, ...bytes];
+            }
+            return [0x02, bytes.length, ...bytes];
+        };
+        
+        const body = [...encodeInteger(r), ...encodeInteger(s)];
+        return Uint8Array.from([0x30, body.length, ...body]);
+    }
+    
+    /**
+     * Compare byte arrays
+     */
+    bytesEqual(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+    
+    /**
+     * Get transaction history from API (address or list of account addresses)
+     */
+    async getTransactionHistory(address, limit = 10) {
+        try {
+            const addresses = [].concat(address);
+            const own = new Set(addresses);
+            const results = await Promise.all(addresses.map(addr => this.getAddressTransactions(addr)));
+            
+            // The same transaction can touch several account addresses
+            const txs = new Map();
+            results.flat().forEach(tx => txs.set(tx.txid, tx));
+            
+            return Array.from(txs.values())
+                .map(tx => this.toHistoryEntry(tx, own))
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, limit);
+            
+        } catch (error) {
+            console.error('Failed to get Bitcoin transaction history:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get one step of history sync for address (newest first from Esplora)
+     * Cursor: newest synced txid, oldest txid backfilled so far, and whether
+     * the backfill reached the start of the address history
+     */
+    async getHistory(address, cursor, provider, addresses = [address]) {
+        const own = new Set(addresses);
+        const backfill = cursor && !cursor.complete;
+        
+        // New transactions are picked up on every call, next to one older
+        // page while the backfill is unfinished
+        const [tip, head, older] = await Promise.all([
+            this.getBlockHeight(),
+            this.getHistoryHead(address, cursor),
+            backfill ? this.getAddressTransactions(address, cursor.oldest) : []
+        ]);
+        const { pending, confirmed } = head;
+        
+        const next = cursor
+            ? { ...cursor, newest: confirmed.length ? confirmed[0].txid : cursor.newest }
+            : {
+                newest: confirmed.length ? confirmed[0].txid : null,
+                oldest: confirmed.length ? confirmed[confirmed.length - 1].txid : null,
+                complete: confirmed.length < this.historyPageSize
+            };
+        
+        if (backfill) {
+            next.oldest = older.length ? older[older.length - 1].txid : cursor.oldest;
+            next.complete = older.length < this.historyPageSize;
+        }
+        
+        return {
+            transactions: [...pending, ...confirmed, ...older].map(tx => this.toHistoryEntry(tx, own, tip)),
+            cursor: next,
+            done: next.complete
+        };
+    }
+    
+    /**
+     * Get mempool transactions and confirmed ones newer than the cursor
+     * (only the first page without a cursor)
+     */
+    async getHistoryHead(address, cursor) {
+        // First page also lists mempool transactions
+        const first = await this.getAddressTransactions(address);
+        const pending = first.filter(tx => !tx.status.confirmed);
+        const confirmed = [];
+        let page = first.filter(tx => tx.status.confirmed);
+        
+        // Page back to the newest transaction of the previous sync
+        while (true) {
+            const seen = cursor ? page.findIndex(tx => tx.txid === cursor.newest) : -1;
+            if (seen !== -1) {
+                confirmed.push(...page.slice(0, seen));
+                break;
+            }
+            
+            confirmed.push(...page);
+            if (!cursor || page.length < this.historyPageSize) {
+                break;
+            }
+            page = await this.getAddressTransactions(address, page[page.length - 1].txid);
+        }
+        
+        return { pending: pending, confirmed: confirmed };
+    }
+    
+    /**
+     * Get address transactions: mempool and newest confirmed, or the
+     * confirmed page after lastSeen
+     */
+    async getAddressTransactions(address, lastSeen = null) {
+        const path = lastSeen ? `txs/chain/${lastSeen}` : 'txs';
+        const response = await fetch(`https://blockstream.info/api/address/${address}/${path}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Convert Esplora transaction to history entry, netting inputs and
+     * outputs of all own addresses
+     */
+    toHistoryEntry(tx, own, tip = null) {
+        const ownOutputs = tx.vout.filter(output => own.has(output.scriptpubkey_address));
+        const ownInputs = tx.vin.filter(input => input.prevout && own.has(input.prevout.scriptpubkey_address));
+        
+        const received = ownOutputs.reduce((sum, output) => sum + output.value, 0);
+        const sent = ownInputs.reduce((sum, input) => sum + input.prevout.value, 0);
+        const net = received - sent;
+        const incoming = net >= 0;
+        
+        // Counterparty is the first foreign input or output (own address on self-transfers)
+        const inputs = tx.vin.filter(input => input.prevout).map(input => input.prevout.scriptpubkey_address);
+        const outputs = tx.vout.map(output => output.scriptpubkey_address).filter(Boolean);
+        const pick = (list, mine) => list.find(address => own.has(address) === mine) || list[0] || null;
+        
+        return {
+            hash: tx.txid,
+            type: incoming ? 'receive' : 'send',
+            from: pick(inputs, !incoming),
+            to: pick(outputs, incoming),
+            // Outgoing amount excludes the fee
+            amount: this.fromSatoshis(incoming ? net : -net - tx.fee),
+            token: 'native',
+            fee: this.fromSatoshis(tx.fee),
+            status: tx.status.confirmed ? 'confirmed' : 'pending',
+            confirmed: tx.status.confirmed,
+            blockNumber: tx.status.confirmed ? tx.status.block_height : null,
+            confirmations: tx.status.confirmed && tip ? Math.max(tip - tx.status.block_height + 1, 1) : 0,
+            timestamp: tx.status.confirmed ? tx.status.block_time * 1000 : Date.now()
+        };
+    }
+    
+    /**
+     * Get transaction details from API
+     */
+    async getTransaction(txid) {
+        const response = await fetch(`https://blockstream.info/api/tx/${txid}`);
+        if (!response.ok) {
+            throw new Error(`Transaction not found: ${txid}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Check whether a transaction output is spent, mempool included
+     */
+    async isOutputSpent(txid, vout) {
+        const response = await fetch(`https://blockstream.info/api/tx/${txid}/outspend/${vout}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const outspend = await response.json();
+        return outspend.spent;
+    }
+    
+    /**
+     * Get inclusion status of stored transaction
+     */
+    async getTransactionStatus(tx) {
+        const response = await fetch(`https://blockstream.info/api/tx/${tx.hash}`);
+        if (response.status === 404) {
+            return { found: false, status: 'pending' };
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (!data.status.confirmed) {
+            return { found: true, status: 'pending' };
+        }
+        
+        const tip = await this.getBlockHeight();
+        
+        return {
+            found: true,
+            status: 'confirmed',
+            blockNumber: data.status.block_height,
+            confirmations: Math.max(tip - data.status.block_height + 1, 1),
+            fee: this.fromSatoshis(data.fee)
+        };
+    }
+    
+    /**
+     * Get current chain height
+     */
+    async getBlockHeight() {
+        const response = await fetch('https://blockstream.info/api/blocks/tip/height');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return parseInt(await response.text(), 10);
+    }
+    
+    /**
+     * Get UTXOs for address
+     */
+    async getUTXOs(address) {
+        const response = await fetch(
+            `https://blockstream.info/api/address/${address}/utxo`
+        );
+        if (!response.ok) {
+            throw new Error(`Failed to fetch UTXOs: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Get UTXOs annotated with coin control labels and freeze state
+     * (address or list of account addresses)
+     */
+    async listUTXOs(address) {
+        const addresses = [].concat(address);
+        const results = await Promise.all(addresses.map(addr => this.getUTXOs(addr)));
+        const coinControl = await this.getCoinControl();
+        
+        return results.flatMap((utxos, i) => utxos.map(utxo => {
+            const entry = coinControl.get(this.getOutpoint(utxo));
+            return {
+                ...utxo,
+                address: addresses[i],
+                outpoint: this.getOutpoint(utxo),
+                label: entry ? entry.label : null,
+                frozen: entry ? entry.frozen : false
+            };
+        }));
+    }
+    
+    /**
+     * Get UTXOs that may be spent (not frozen)
+     */
+    async getSpendableUTXOs(address) {
+        const utxos = await this.listUTXOs(address);
+        return utxos.filter(utxo => !utxo.frozen);
+    }
+    
+    /**
+     * Get coin control entries keyed by outpoint
+     */
+    async getCoinControl() {
+        const entries = await Storage.getCoinControl();
+        return new Map(entries.map(entry => [entry.outpoint, entry]));
+    }
+    
+    /**
+     * Freeze UTXO so coin selection never spends it
+     */
+    async freezeUTXO(txid, vout) {
+        return this.updateCoinControl(txid, vout, { frozen: true });
+    }
+    
+    /**
+     * Unfreeze UTXO
+     */
+    async unfreezeUTXO(txid, vout) {
+        return this.updateCoinControl(txid, vout, { frozen: false });
+    }
+    
+    /**
+     * Label UTXO
+     */
+    async labelUTXO(txid, vout, label) {
+        return this.updateCoinControl(txid, vout, { label: label || null });
+    }
+    
+    /**
+     * Update coin control entry for an outpoint
+     */
+    async updateCoinControl(txid, vout, updates) {
+        const outpoint = this.getOutpoint({ txid, vout });
+        const coinControl = await this.getCoinControl();
+        const entry = {
+            outpoint: outpoint,
+            label: null,
+            frozen: false,
+            ...coinControl.get(outpoint),
+            ...updates
+        };
+        
+        // Drop entries that no longer carry any information
+        if (!entry.label && !entry.frozen) {
+            await Storage.removeCoinControl(outpoint);
+        } else {
+            await Storage.saveCoinControl(entry);
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Outpoint identifier (txid:vout)
+     */
+    getOutpoint(utxo) {
+        return `${utxo.txid}:${utxo.vout}`;
     }
 }
 
@@ -10,33 +10,81 @@ class EthereumChain {
         this.symbol = 'ETH';
         this.decimals = 18;
         this.derivationPath = "m/44'/60'/0'/0/0";
+        this.supportsEIP1559 = true;
+        
+        // eth_feeHistory reward percentiles for each fee preset
+        this.feePresets = { slow: 10, normal: 50, fast: 90 };
+        this.feeHistoryBlocks = 10;
+        this.gasLimitMargin = 1.2; // headroom for contract calls
+        
+        // ERC-20 / BEP-20 interface
+        this.tokenAbi = [
+            'function balanceOf(address owner) view returns (uint256)',
+            'function transfer(address to, uint256 amount) returns (bool)',
+            'function decimals() view returns (uint8)',
+            'function symbol() view returns (string)',
+            'function name() view returns (string)'
+        ];
+        
+        // Early tokens (e.g. MKR) return bytes32 symbol and name
+        this.tokenBytes32Abi = [
+            'function symbol() view returns (bytes32)',
+            'function name() view returns (bytes32)'
+        ];
+        
+        // Transfer(address indexed from, address indexed to, uint256 value)
+        this.transferTopic = ethers.utils.id('Transfer(address,address,uint256)');
+        
+        // Etherscan API v2 key, one key covers every EVM chain
+        this.explorerApiKey = 'your-api-key-here';
     }
     
     /**
      * Get provider for chain
      */
-    async getProvider(chainName = 'ethereum') {
-        const rpcUrl = RPCConfig.getRpcUrl(chainName);
-        return new ethers.providers.JsonRpcProvider(rpcUrl);
+    async getProvider(chainName = this.name) {
+        const chainId = RPCConfig.endpoints[chainName].chainId;
+        const network = ethers.providers.getNetwork(chainId) || { chainId, name: chainName };
+        
+        // Requests fail over across all configured endpoints
+        return new PooledJsonRpcProvider(chainName, network);
+    }
+    
+    /**
+     * Get BIP-44 path of account (m/44'/60'/account'/0/0)
+     */
+    getDerivationPath(account = 0) {
+        return this.derivationPath.replace(/^(m\/44'\/\d+')\/\d+'/, `$1/${account}'`);
     }
     
     /**
      * Get address from seed
      */
-    async getAddressFromSeed(seed) {
-        const wallet = ethers.Wallet.fromMnemonic(
-            Wallet.wallet.mnemonic,
-            this.derivationPath
-        );
-        return wallet.address;
+    async getAddressFromSeed(seed, account = 0) {
+        const node = ethers.utils.HDNode.fromSeed(seed)
+            .derivePath(this.getDerivationPath(account));
+        return node.address;
     }
     
     /**
      * Get private key from mnemonic
      */
-    async getPrivateKeyFromMnemonic(mnemonic) {
-        const wallet = ethers.Wallet.fromMnemonic(mnemonic, this.derivationPath);
-        return wallet.privateKey;
+    async getPrivateKeyFromMnemonic(mnemonic, account = 0, passphrase = '') {
+        // Same seed derivation as getAddressFromSeed so key and address always match
+        const seed = await Mnemonic.mnemonicToSeed(mnemonic, passphrase);
+        const node = ethers.utils.HDNode.fromSeed(seed)
+            .derivePath(this.getDerivationPath(account));
+        
+        SecurityConfig.zeroBuffer(seed);
+        
+        return node.privateKey;
+    }
+    
+    /**
+     * Get address of a raw private key (imported accounts)
+     */
+    getAddressFromPrivateKey(privateKey) {
+        return new ethers.Wallet(privateKey).address;
     }
     
     /**
@@ -53,43 +101,73 @@ class EthereumChain {
     }
     
     /**
-     * Get token balance
+     * Get token balance (scaled by token decimals)
      */
-    async getTokenBalance(tokenAddress, walletAddress, provider) {
+    async getTokenBalance(tokenAddress, walletAddress, provider, decimals = null) {
         try {
-            // ERC-20 ABI for balanceOf
-            const abi = ['function balanceOf(address owner) view returns (uint256)'];
-            const contract = new ethers.Contract(tokenAddress, abi, provider);
+            const contract = new ethers.Contract(tokenAddress, this.tokenAbi, provider);
             
-            const balance = await contract.balanceOf(walletAddress);
-            // Need token decimals - would need full ABI or known tokens
-            return balance.toString();
+            const [balance, tokenDecimals] = await Promise.all([
+                contract.balanceOf(walletAddress),
+                decimals === null ? contract.decimals() : decimals
+            ]);
+            return ethers.utils.formatUnits(balance, tokenDecimals);
         } catch (error) {
             console.error('Failed to get token balance:', error);
             return '0';
         }
     }
     
+    /**
+     * Read token metadata (decimals, symbol, name) from contract
+     */
+    async getTokenMetadata(tokenAddress, provider) {
+        const contract = new ethers.Contract(tokenAddress, this.tokenAbi, provider);
+        const legacy = new ethers.Contract(tokenAddress, this.tokenBytes32Abi, provider);
+        
+        const readText = async (field) => {
+            try {
+                return await contract[field]();
+            } catch (error) {
+                return ethers.utils.parseBytes32String(await legacy[field]());
+            }
+        };
+        
+        const [decimals, symbol, name] = await Promise.all([
+            contract.decimals(),
+            readText('symbol'),
+            readText('name')
+        ]);
+        
+        return {
+            address: ethers.utils.getAddress(tokenAddress),
+            chain: this.name,
+            decimals: decimals,
+            symbol: symbol,
+            name: name
+        };
+    }
+    
     /**
      * Send transaction
      */
     async sendTransaction(transaction, privateKey, provider) {
         try {
             const wallet = new ethers.Wallet(privateKey, provider);
+            const request = await this.buildTransaction(transaction, wallet.address, provider);
             
-            const tx = await wallet.sendTransaction({
-                to: transaction.to,
-                value: ethers.utils.parseEther(transaction.amount),
-                gasLimit: transaction.gasLimit || 21000,
-                gasPrice: transaction.gasPrice || (await provider.getGasPrice())
-            });
+            const tx = await wallet.sendTransaction(request);
+            
+            // Upper bound - type 2 transactions refund the unused max fee
+            const feePerGas = tx.type === 2 ? tx.maxFeePerGas : tx.gasPrice;
             
             return {
                 hash: tx.hash,
                 from: tx.from,
-                to: tx.to,
+                to: transaction.to,
                 value: transaction.amount,
-                fee: tx.gasPrice.mul(tx.gasLimit).toString()
+                nonce: tx.nonce,
+                fee: feePerGas.mul(tx.gasLimit).toString()
             };
             
         } catch (error) {
@@ -98,15 +176,193 @@ class EthereumChain {
         }
     }
     
+    /**
+     * Build transaction request with gas limit and fee fields
+     */
+    async buildTransaction(transaction, from, provider) {
+        const request = {
+            ...this.buildCall(transaction),
+            chainId: this.chainId
+        };
+        
+        request.gasLimit = transaction.gasLimit ||
+            (await this.estimateGas({ ...request, from }, provider));
+        
+        // Explicit legacy gas price wins over fee market presets
+        if (transaction.gasPrice) {
+            request.type = 0;
+            request.gasPrice = transaction.gasPrice;
+            return request;
+        }
+        
+        const feeData = await this.getFeeData(provider, transaction.speed);
+        
+        if (feeData.type === 2) {
+            request.type = 2;
+            request.maxFeePerGas = transaction.maxFeePerGas || feeData.maxFeePerGas;
+            request.maxPriorityFeePerGas = transaction.maxPriorityFeePerGas || feeData.maxPriorityFeePerGas;
+        } else {
+            request.type = 0;
+            request.gasPrice = feeData.gasPrice;
+        }
+        
+        return request;
+    }
+    
+    /**
+     * Build call (to/value/data) for native or token transfer
+     */
+    buildCall(transaction) {
+        if (this.isTokenTransfer(transaction)) {
+            if (transaction.tokenDecimals === undefined || transaction.tokenDecimals === null) {
+                throw new Error('Token decimals are required');
+            }
+            
+            // Value moves through transfer() on the token contract
+            return {
+                to: transaction.token,
+                value: ethers.constants.Zero,
+                data: this.encodeTokenTransfer(
+                    transaction.to,
+                    transaction.amount,
+                    transaction.tokenDecimals
+                )
+            };
+        }
+        
+        const call = {
+            to: transaction.to,
+            value: ethers.utils.parseEther(transaction.amount || '0')
+        };
+        
+        if (transaction.data) {
+            call.data = transaction.data;
+        }
+        
+        return call;
+    }
+    
+    /**
+     * Check whether transaction moves a token instead of native coin
+     */
+    isTokenTransfer(transaction) {
+        return !!transaction.token && transaction.token !== 'native';
+    }
+    
+    /**
+     * Encode ERC-20 transfer(address,uint256) call data
+     */
+    encodeTokenTransfer(to, amount, decimals) {
+        const tokenInterface = new ethers.utils.Interface(this.tokenAbi);
+        return tokenInterface.encodeFunctionData('transfer', [
+            to,
+            ethers.utils.parseUnits(amount, decimals)
+        ]);
+    }
+    
+    /**
+     * Estimate gas limit for transaction request
+     */
+    async estimateGas(request, provider) {
+        const gasLimit = await provider.estimateGas(request);
+        
+        // Plain transfers use exactly what was estimated
+        if (gasLimit.lte(21000)) {
+            return gasLimit;
+        }
+        
+        return gasLimit.mul(Math.round(this.gasLimitMargin * 100)).div(100);
+    }
+    
+    /**
+     * Get fee options for slow/normal/fast presets
+     */
+    async getFeeOptions(provider) {
+        if (this.supportsEIP1559) {
+            try {
+                return await this.getFeeHistoryOptions(provider);
+            } catch (error) {
+                console.warn(`eth_feeHistory unavailable on ${this.name}, using legacy gas price:`, error);
+            }
+        }
+        
+        // Legacy fallback - single network gas price for every preset
+        const gasPrice = await provider.getGasPrice();
+        const options = {};
+        Object.keys(this.feePresets).forEach(speed => {
+            options[speed] = { type: 0, gasPrice };
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Derive EIP-1559 fee presets from recent priority fee percentiles
+     */
+    async getFeeHistoryOptions(provider) {
+        const speeds = Object.keys(this.feePresets);
+        const history = await provider.send('eth_feeHistory', [
+            ethers.utils.hexValue(this.feeHistoryBlocks),
+            'latest',
+            speeds.map(speed => this.feePresets[speed])
+        ]);
+        
+        if (!history || !history.baseFeePerGas || !history.reward) {
+            throw new Error('Chain does not report base fees');
+        }
+        
+        // Last entry is the base fee of the next block
+        const baseFee = ethers.BigNumber.from(
+            history.baseFeePerGas[history.baseFeePerGas.length - 1]
+        );
+        
+        const options = {};
+        speeds.forEach((speed, i) => {
+            const rewards = history.reward
+                .map(block => ethers.BigNumber.from(block[i]))
+                .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+            const priorityFee = rewards.length > 0
+                ? rewards[Math.floor(rewards.length / 2)]
+                : ethers.utils.parseUnits('1', 'gwei');
+            
+            // Allow the base fee to double before the transaction is priced out
+            options[speed] = {
+                type: 2,
+                baseFeePerGas: baseFee,
+                maxPriorityFeePerGas: priorityFee,
+                maxFeePerGas: baseFee.mul(2).add(priorityFee)
+            };
+        });
+        
+        return options;
+    }
+    
+    /**
+     * Get fee data for a preset (default normal)
+     */
+    async getFeeData(provider, speed = 'normal') {
+        const options = await this.getFeeOptions(provider);
+        return options[speed] || options.normal;
+    }
+    
     /**
      * Estimate transaction fee
      */
     async estimateFee(transaction, provider) {
         try {
-            const gasPrice = await provider.getGasPrice();
-            const gasLimit = transaction.gasLimit || 21000;
+            const gasLimit = transaction.gasLimit || (await this.estimateGas({
+                ...this.buildCall(transaction),
+                from: transaction.from
+            }, provider));
+            
+            const feeData = await this.getFeeData(provider, transaction.speed);
+            
+            // Expected cost: next base fee plus tip, not the max fee cap
+            const feePerGas = feeData.type === 2
+                ? feeData.baseFeePerGas.add(feeData.maxPriorityFeePerGas)
+                : feeData.gasPrice;
             
-            const fee = gasPrice.mul(gasLimit);
+            const fee = feePerGas.mul(gasLimit);
             return ethers.utils.formatEther(fee);
             
         } catch (error) {
@@ -142,6 +398,150 @@ class EthereumChain {
         return provider.getTransactionReceipt(hash);
     }
     
+    /**
+     * Get inclusion status of stored transaction
+     * A mined nonce without our receipt means another transaction replaced it
+     */
+    async getTransactionStatus(tx, provider) {
+        let receipt = await this.getTransactionReceipt(tx.hash, provider);
+        
+        if (!receipt) {
+            const pending = await provider.getTransaction(tx.hash);
+            
+            if (tx.nonce !== null && tx.nonce !== undefined && tx.from) {
+                const nonce = await this.getTransactionCount(tx.from, provider);
+                
+                // Re-check: ours may have been mined in between
+                receipt = nonce > tx.nonce ? await this.getTransactionReceipt(tx.hash, provider) : null;
+                if (!receipt && nonce > tx.nonce) {
+                    return { found: !!pending, status: 'replaced' };
+                }
+            }
+            
+            if (!receipt) {
+                return { found: !!pending, status: 'pending' };
+            }
+        }
+        
+        const tip = await provider.getBlockNumber();
+        
+        return {
+            found: true,
+            status: receipt.status === 0 ? 'failed' : 'confirmed',
+            blockNumber: receipt.blockNumber,
+            confirmations: Math.max(tip - receipt.blockNumber + 1, 1),
+            fee: receipt.effectiveGasPrice
+                ? receipt.gasUsed.mul(receipt.effectiveGasPrice).toString()
+                : null
+        };
+    }
+    
+    /**
+     * Get native and token transfers to or from address in the next block range
+     * Token transfers come from logs, native ones from the explorer API
+     */
+    async getHistory(address, cursor, provider) {
+        const tip = await provider.getBlockNumber();
+        const fromBlock = cursor
+            ? cursor.block + 1
+            : Math.max(tip - AppConfig.wallet.historyStartBlocks[this.name], 0);
+        
+        if (fromBlock > tip) {
+            return { transactions: [], cursor: cursor, done: true };
+        }
+        
+        const toBlock = Math.min(fromBlock + AppConfig.wallet.historyBlockRange - 1, tip);
+        const topic = ethers.utils.hexZeroPad(address, 32).toLowerCase();
+        
+        const [sent, received, native] = await Promise.all([
+            provider.getLogs({ fromBlock, toBlock, topics: [this.transferTopic, topic] }),
+            provider.getLogs({ fromBlock, toBlock, topics: [this.transferTopic, null, topic] }),
+            this.getNativeTransfers(address, fromBlock, toBlock)
+        ]);
+        
+        // ERC-721 transfers share the signature but also index the token id
+        const logs = [...sent, ...received].filter(log => !log.removed && log.topics.length === 3);
+        
+        const timestamps = new Map();
+        const getTimestamp = async (blockNumber) => {
+            if (!timestamps.has(blockNumber)) {
+                timestamps.set(blockNumber, provider.getBlock(blockNumber).then(block => block.timestamp * 1000));
+            }
+            return timestamps.get(blockNumber);
+        };
+        
+        const transfers = native.map(tx => ({
+            hash: tx.hash,
+            type: tx.from.toLowerCase() === address.toLowerCase() ? 'send' : 'receive',
+            from: ethers.utils.getAddress(tx.from),
+            to: ethers.utils.getAddress(tx.to || tx.contractAddress),
+            amount: ethers.utils.formatEther(tx.value),
+            token: 'native',
+            fee: ethers.BigNumber.from(tx.gasUsed).mul(tx.gasPrice).toString(),
+            status: tx.isError === '0' ? 'confirmed' : 'failed',
+            confirmed: tx.isError === '0',
+            blockNumber: Number(tx.blockNumber),
+            confirmations: tip - Number(tx.blockNumber) + 1,
+            timestamp: Number(tx.timeStamp) * 1000
+        }));
+        
+        const tokenTransfers = await Promise.all(logs.map(async (log) => {
+            const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+            const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+            
+            return {
+                hash: log.transactionHash,
+                type: from.toLowerCase() === address.toLowerCase() ? 'send' : 'receive',
+                from: from,
+                to: to,
+                token: ethers.utils.getAddress(log.address),
+                value: ethers.BigNumber.from(log.data).toString(), // token units, decimals resolved by caller
+                status: 'confirmed', // reverted transactions emit no logs
+                confirmed: true,
+                blockNumber: log.blockNumber,
+                confirmations: tip - log.blockNumber + 1,
+                timestamp: await getTimestamp(log.blockNumber)
+            };
+        }));
+        
+        return {
+            transactions: [...transfers, ...tokenTransfers],
+            cursor: { block: toBlock },
+            done: toBlock >= tip
+        };
+    }
+    
+    /**
+     * Get transactions with value to or from address in block range
+     * Value moved by contract calls (internal transactions) is not listed
+     */
+    async getNativeTransfers(address, fromBlock, toBlock) {
+        const params = new URLSearchParams({
+            chainid: String(this.chainId),
+            module: 'account',
+            action: 'txlist',
+            address: address,
+            startblock: String(fromBlock),
+            endblock: String(toBlock),
+            sort: 'asc',
+            apikey: this.explorerApiKey
+        });
+        
+        const response = await fetch(`${RPCConfig.endpoints[this.name].explorerApi}?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        // An empty list comes with status 0 too, errors carry a message instead
+        const data = await response.json();
+        if (!Array.isArray(data.result)) {
+            throw new Error(`Explorer API error: ${data.result || data.message}`);
+        }
+        
+        // Token transfers carry no value, they are read from logs
+        return data.result.filter(tx => tx.value !== '0');
+    }
+    
     /**
      * Get transaction count (nonce)
      */
@@ -161,6 +561,7 @@ BSC.name = 'bsc';
 BSC.chainId = 56;
 BSC.symbol = 'BNB';
 BSC.derivationPath = "m/44'/60'/0'/0/0";
+BSC.supportsEIP1559 = false; // no fee market on BNB Smart Chain
 
 const Polygon = new EthereumChain();
 Polygon.name = 'polygon';
@@ -3,12 +3,44 @@
  * Uses TronWeb
  */
 
+/**
+ * TronWeb HTTP provider that sends every request through the pool
+ */
+class PooledTronHttpProvider extends TronWeb.providers.HttpProvider {
+    constructor(headers = {}) {
+        super(RPCPool.getBestUrl('tron'), RPCConfig.fallback.timeout, false, false, headers);
+        this.urlProviders = new Map();
+    }
+    
+    /**
+     * Send HTTP request with failover
+     */
+    request(url, payload = {}, method = 'get') {
+        return RPCPool.request('tron', host => this.getUrlProvider(host).request(url, payload, method));
+    }
+    
+    /**
+     * Get provider bound to a single endpoint
+     */
+    getUrlProvider(host) {
+        if (!this.urlProviders.has(host)) {
+            this.urlProviders.set(
+                host,
+                new TronWeb.providers.HttpProvider(host, RPCConfig.fallback.timeout, false, false, this.headers)
+            );
+        }
+        return this.urlProviders.get(host);
+    }
+}
+
 class TronChain {
     constructor() {
         this.name = 'tron';
         this.symbol = 'TRX';
         this.decimals = 6;
         this.derivationPath = "m/44'/195'/0'/0/0";
+        this.tokenFeeLimit = 100000000; // 100 TRX energy cap for TRC-20 calls
+        this.historyPageSize = 200; // TronGrid maximum
         
         // Initialize TronWeb
         this.tronWeb = null;
@@ -19,10 +51,12 @@ class TronChain {
      * Initialize TronWeb
      */
     initTronWeb() {
-        const rpcUrl = RPCConfig.getRpcUrl('tron');
+        // Each node request fails over across all configured endpoints
+        const provider = new PooledTronHttpProvider({ "TRON-PRO-API-KEY": "your-api-key-here" });
         this.tronWeb = new TronWeb({
-            fullHost: rpcUrl,
-            headers: { "TRON-PRO-API-KEY": "your-api-key-here" }
+            fullNode: provider,
+            solidityNode: provider,
+            eventServer: provider
         });
     }
     
@@ -36,26 +70,44 @@ class TronChain {
         return this.tronWeb;
     }
     
+    /**
+     * Get BIP-44 path of account (m/44'/195'/account'/0/0)
+     */
+    getDerivationPath(account = 0) {
+        return this.derivationPath.replace(/^(m\/44'\/\d+')\/\d+'/, `$1/${account}'`);
+    }
+    
     /**
      * Get address from seed
      */
-    async getAddressFromSeed(seed) {
+    async getAddressFromSeed(seed, account = 0) {
         // TRON uses same derivation as Ethereum
-        const ethWallet = ethers.Wallet.fromMnemonic(
-            Wallet.wallet.mnemonic,
-            this.derivationPath
-        );
+        const node = ethers.utils.HDNode.fromSeed(seed)
+            .derivePath(this.getDerivationPath(account));
         
         // Convert Ethereum private key to TRON address
-        return this.privateKeyToAddress(ethWallet.privateKey);
+        return this.privateKeyToAddress(node.privateKey);
     }
     
     /**
      * Get private key from mnemonic
      */
-    async getPrivateKeyFromMnemonic(mnemonic) {
-        const wallet = ethers.Wallet.fromMnemonic(mnemonic, this.derivationPath);
-        return wallet.privateKey;
+    async getPrivateKeyFromMnemonic(mnemonic, account = 0, passphrase = '') {
+        // Same seed derivation as getAddressFromSeed so key and address always match
+        const seed = await Mnemonic.mnemonicToSeed(mnemonic, passphrase);
+        const node = ethers.utils.HDNode.fromSeed(seed)
+            .derivePath(this.getDerivationPath(account));
+        
+        SecurityConfig.zeroBuffer(seed);
+        
+        return node.privateKey;
+    }
+    
+    /**
+     * Get address of a raw private key (imported accounts)
+     */
+    getAddressFromPrivateKey(privateKey) {
+        return this.privateKeyToAddress(privateKey);
     }
     
     /**
@@ -84,19 +136,42 @@ class TronChain {
     }
     
     /**
-     * Get token balance (TRC-20)
+     * Get token balance (TRC-20, scaled by token decimals)
      */
-    async getTokenBalance(tokenAddress, walletAddress, provider) {
+    async getTokenBalance(tokenAddress, walletAddress, provider, decimals = null) {
         try {
             const contract = await provider.contract().at(tokenAddress);
-            const balance = await contract.balanceOf(walletAddress).call();
-            return balance.toString();
+            const [balance, tokenDecimals] = await Promise.all([
+                contract.balanceOf(walletAddress).call(),
+                decimals === null ? contract.decimals().call() : decimals
+            ]);
+            return ethers.utils.formatUnits(balance.toString(), Number(tokenDecimals.toString()));
         } catch (error) {
             console.error('Failed to get token balance:', error);
             return '0';
         }
     }
     
+    /**
+     * Read TRC-20 metadata (decimals, symbol, name) from contract
+     */
+    async getTokenMetadata(tokenAddress, provider) {
+        const contract = await provider.contract().at(tokenAddress);
+        const [decimals, symbol, name] = await Promise.all([
+            contract.decimals().call(),
+            contract.symbol().call(),
+            contract.name().call()
+        ]);
+        
+        return {
+            address: tokenAddress,
+            chain: this.name,
+            decimals: Number(decimals.toString()),
+            symbol: symbol,
+            name: name
+        };
+    }
+    
     /**
      * Send transaction
      */
@@ -105,12 +180,16 @@ class TronChain {
             // Remove 0x prefix from private key
             const cleanKey = privateKey.startsWith('0x') ? privateKey.slice(2) : privateKey;
             
+            const from = transaction.from || this.privateKeyToAddress(privateKey);
+            
             // Create transaction
-            const tx = await provider.transactionBuilder.sendTrx(
-                transaction.to,
-                provider.toSun(transaction.amount),
-                transaction.from || this.privateKeyToAddress(privateKey)
-            );
+            const tx = transaction.token && transaction.token !== 'native'
+                ? await this.buildTokenTransfer(transaction, from, provider)
+                : await provider.transactionBuilder.sendTrx(
+                    transaction.to,
+                    provider.toSun(transaction.amount),
+                    from
+                );
             
             // Sign transaction
             const signedTx = await provider.trx.sign(tx, cleanKey);
@@ -118,9 +197,14 @@ class TronChain {
             // Broadcast transaction
             const result = await provider.trx.sendRawTransaction(signedTx);
             
+            // A retried broadcast finds the transaction already accepted
+            if (!result.result && result.code !== 'DUP_TRANSACTION_ERROR') {
+                throw new Error(`Broadcast failed: ${result.code || 'unknown error'}`);
+            }
+            
             return {
-                hash: result.txid,
-                from: transaction.from,
+                hash: signedTx.txID,
+                from: from,
                 to: transaction.to,
                 value: transaction.amount,
                 fee: transaction.fee || 0
@@ -132,6 +216,33 @@ class TronChain {
         }
     }
     
+    /**
+     * Build TRC-20 transfer(address,uint256) transaction
+     */
+    async buildTokenTransfer(transaction, from, provider) {
+        if (transaction.tokenDecimals === undefined || transaction.tokenDecimals === null) {
+            throw new Error('Token decimals are required');
+        }
+        
+        const amount = ethers.utils.parseUnits(transaction.amount, transaction.tokenDecimals);
+        const result = await provider.transactionBuilder.triggerSmartContract(
+            transaction.token,
+            'transfer(address,uint256)',
+            { feeLimit: this.tokenFeeLimit },
+            [
+                { type: 'address', value: transaction.to },
+                { type: 'uint256', value: amount.toString() }
+            ],
+            from
+        );
+        
+        if (!result.result || !result.result.result) {
+            throw new Error('Failed to build token transfer');
+        }
+        
+        return result.transaction;
+    }
+    
     /**
      * Estimate transaction fee
      */
@@ -161,6 +272,143 @@ class TronChain {
     async getTransactionInfo(hash, provider) {
         return provider.trx.getTransactionInfo(hash);
     }
+    
+    /**
+     * Get inclusion status of stored transaction
+     */
+    async getTransactionStatus(tx, provider) {
+        const info = await this.getTransactionInfo(tx.hash, provider);
+        
+        // Info stays empty until the transaction is in a block
+        if (!info || !info.blockNumber) {
+            const pending = await provider.trx.getTransaction(tx.hash).catch(() => null);
+            return { found: !!pending, status: 'pending' };
+        }
+        
+        const block = await provider.trx.getCurrentBlock();
+        const tip = block.block_header.raw_data.number;
+        
+        // Plain TRX transfers carry no receipt result
+        const failed = info.result === 'FAILED' ||
+            (info.receipt && info.receipt.result && info.receipt.result !== 'SUCCESS');
+        
+        return {
+            found: true,
+            status: failed ? 'failed' : 'confirmed',
+            blockNumber: info.blockNumber,
+            confirmations: Math.max(tip - info.blockNumber + 1, 1),
+            fee: provider.fromSun(info.fee || 0)
+        };
+    }
+    
+    /**
+     * Get next page of TRX and TRC-20 transfers of address (oldest first)
+     * Cursor holds the block timestamp reached for each kind
+     */
+    async getHistory(address, cursor, provider) {
+        const since = cursor || { native: 0, trc20: 0 };
+        
+        // Only solidified (irreversible) transactions are listed
+        const [native, trc20] = await Promise.all([
+            this.getAccountHistory(address, 'transactions', since.native, { search_internal: 'false' }),
+            this.getAccountHistory(address, 'transactions/trc20', since.trc20)
+        ]);
+        const final = AppConfig.wallet.requiredConfirmations.tron;
+        
+        // Internal transactions carry no raw_data
+        const transfers = native
+            .filter(tx => tx.raw_data && tx.raw_data.contract &&
+                tx.raw_data.contract[0].type === 'TransferContract')
+            .map(tx => {
+                const transfer = tx.raw_data.contract[0].parameter.value;
+                const from = provider.address.fromHex(transfer.owner_address);
+                const result = tx.ret && tx.ret[0] ? tx.ret[0] : {};
+                
+                return {
+                    hash: tx.txID,
+                    type: from === address ? 'send' : 'receive',
+                    from: from,
+                    to: provider.address.fromHex(transfer.to_address),
+                    amount: provider.fromSun(transfer.amount),
+                    token: 'native',
+                    fee: provider.fromSun(result.fee || 0),
+                    status: result.contractRet === 'SUCCESS' ? 'confirmed' : 'failed',
+                    confirmed: result.contractRet === 'SUCCESS',
+                    blockNumber: tx.blockNumber,
+                    confirmations: final,
+                    timestamp: tx.block_timestamp
+                };
+            });
+        
+        const tokenTransfers = trc20.map(tx => ({
+            hash: tx.transaction_id,
+            type: tx.from === address ? 'send' : 'receive',
+            from: tx.from,
+            to: tx.to,
+            amount: ethers.utils.formatUnits(tx.value, tx.token_info.decimals),
+            token: tx.token_info.address,
+            status: 'confirmed',
+            confirmed: true,
+            blockNumber: null, // not listed by TronGrid
+            confirmations: final,
+            timestamp: tx.block_timestamp
+        }));
+        
+        return {
+            transactions: [...transfers, ...tokenTransfers],
+            cursor: {
+                native: this.nextHistoryTimestamp(native, since.native),
+                trc20: this.nextHistoryTimestamp(trc20, since.trc20)
+            },
+            done: native.length < this.historyPageSize && trc20.length < this.historyPageSize
+        };
+    }
+    
+    /**
+     * Get page of account transactions from TronGrid, trying each API host
+     */
+    async getAccountHistory(address, path, since, options = {}) {
+        const params = new URLSearchParams({
+            only_confirmed: 'true',
+            order_by: 'block_timestamp,asc',
+            min_timestamp: String(since),
+            limit: String(this.historyPageSize),
+            ...options
+        });
+        let lastError = null;
+        
+        for (const host of RPCConfig.endpoints.tron.apiUrls) {
+            try {
+                const response = await fetch(`${host}/v1/accounts/${address}/${path}?${params}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const data = await response.json();
+                return data.data || [];
+                
+            } catch (error) {
+                console.warn(`TronGrid request to ${host} failed:`, error);
+                lastError = error;
+            }
+        }
+        
+        throw lastError || new Error('No TronGrid endpoint configured');
+    }
+    
+    /**
+     * Timestamp to resume from (inclusive, repeats are de-duplicated by hash)
+     */
+    nextHistoryTimestamp(page, since) {
+        if (!page.length) {
+            return since;
+        }
+        
+        const last = page[page.length - 1].block_timestamp;
+        
+        // A full page within one timestamp would be fetched again forever
+        return last === since && page.length === this.historyPageSize ? last + 1 : last;
+    }
 }
 
 // Create singleton instance
@@ -14,6 +14,9 @@ const AppConfig = {
         minPasswordLength: 8,
         autoLockDelay: 300, // 5 minutes in seconds
         maxFailedAttempts: 5,
+        failedAttemptDelay: 2, // seconds after first failed unlock, doubles each time
+        maxFailedAttemptDelay: 300, // 5 minutes
+        lockoutDuration: 3600, // 1 hour in seconds once maxFailedAttempts is reached
         sessionTimeout: 3600, // 1 hour in seconds
         mnemonicWordCount: 12,
         encryptionIterations: 100000,
@@ -26,7 +29,24 @@ const AppConfig = {
         supportedChains: ['ethereum', 'bsc', 'polygon', 'tron', 'bitcoin'],
         defaultCurrency: 'USD',
         priceUpdateInterval: 30000, // 30 seconds
-        balanceUpdateInterval: 15000 // 15 seconds
+        balanceUpdateInterval: 15000, // 15 seconds
+        bitcoinGapLimit: 20, // BIP-44 address gap limit
+        transactionPollInterval: 15000, // 15 seconds
+        transactionDropTimeout: 3600000, // 1 hour unseen before a transaction counts as dropped
+        requiredConfirmations: {
+            ethereum: 12,
+            bsc: 15,
+            polygon: 128,
+            tron: 19,
+            bitcoin: 6
+        },
+        historySyncInterval: 300000, // 5 minutes
+        historyBlockRange: 5000, // blocks per EVM log query
+        historyStartBlocks: { // EVM blocks scanned back on first sync (about a week)
+            ethereum: 50000,
+            bsc: 200000,
+            polygon: 300000
+        }
     },
     
     // UI Settings
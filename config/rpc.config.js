@@ -14,6 +14,7 @@ const RPCConfig = {
                 'https://eth-mainnet.public.blastapi.io'
             ],
             explorer: 'https://etherscan.io',
+            explorerApi: 'https://api.etherscan.io/v2/api', // lists native transfers for history
             nativeCurrency: {
                 name: 'Ether',
                 symbol: 'ETH',
@@ -30,6 +31,7 @@ const RPCConfig = {
                 'https://bsc-dataseed3.binance.org'
             ],
             explorer: 'https://bscscan.com',
+            explorerApi: 'https://api.etherscan.io/v2/api',
             nativeCurrency: {
                 name: 'BNB',
                 symbol: 'BNB',
@@ -46,6 +48,7 @@ const RPCConfig = {
                 'https://polygon-mainnet.public.blastapi.io'
             ],
             explorer: 'https://polygonscan.com',
+            explorerApi: 'https://api.etherscan.io/v2/api',
             nativeCurrency: {
                 name: 'MATIC',
                 symbol: 'MATIC',
@@ -60,6 +63,9 @@ const RPCConfig = {
                 'https://api.trongrid.io',
                 'https://api.tronstack.io'
             ],
+            apiUrls: [ // TronGrid v1 API (account history), not served by plain nodes
+                'https://api.trongrid.io'
+            ],
             explorer: 'https://tronscan.org',
             nativeCurrency: {
                 name: 'TRON',
@@ -90,19 +96,26 @@ const RPCConfig = {
     }
 };
 
-// Helper function to get a working RPC URL
-RPCConfig.getRpcUrl = function(chain) {
+// Helper function to get all RPC URLs (custom endpoints first)
+RPCConfig.getRpcUrls = function(chain) {
     if (!this.endpoints[chain]) {
         throw new Error(`Unsupported chain: ${chain}`);
     }
     
-    // Check for custom endpoint first
-    if (this.customEndpoints[chain]) {
-        return this.customEndpoints[chain].rpcUrl;
+    const custom = [].concat(this.customEndpoints[chain] || [])
+        .map(endpoint => endpoint.rpcUrl)
+        .filter(Boolean);
+    
+    return [...new Set([...custom, ...this.endpoints[chain].rpcUrls])];
+};
+
+// Helper function to get the preferred RPC URL (ranked by RPCPool when loaded)
+RPCConfig.getRpcUrl = function(chain) {
+    if (typeof RPCPool !== 'undefined') {
+        return RPCPool.getBestUrl(chain);
     }
     
-    // Return first public endpoint
-    return this.endpoints[chain].rpcUrls[0];
+    return this.getRpcUrls(chain)[0];
 };
 
 // Helper function to add custom endpoint
@@ -16,7 +16,16 @@ const SecurityConfig = {
     
     // Key Derivation
     keyDerivation: {
-        algorithm: 'PBKDF2',
+        algorithm: 'scrypt', // 'scrypt' (memory-hard) or 'PBKDF2'
+        scrypt: {
+            N: 32768, // used until the device is calibrated
+            r: 8,
+            p: 1,
+            minN: 16384,
+            maxN: 262144,
+            maxMemory: 268435456, // 256 MB
+            targetTime: 1000 // ms per derivation after calibration
+        },
         minPasswordLength: 8,
         maxPasswordLength: 128,
         requiredChars: {
@@ -39,7 +48,8 @@ const SecurityConfig = {
         autoLock: true,
         lockDelay: 300, // 5 minutes
         maxSessionDuration: 3600, // 1 hour
-        requirePasswordOnResume: true
+        requirePasswordOnResume: true,
+        resumeGracePeriod: 30 // seconds in background before resume needs the password
     },
     
     // Input Validation
@@ -251,6 +261,7 @@ SecurityConfig.setupSecurityListeners();
 Object.freeze(SecurityConfig);
 Object.freeze(SecurityConfig.encryption);
 Object.freeze(SecurityConfig.keyDerivation);
+Object.freeze(SecurityConfig.keyDerivation.scrypt);
 Object.freeze(SecurityConfig.memory);
 Object.freeze(SecurityConfig.session);
 Object.freeze(SecurityConfig.validation);
@@ -1,6 +1,12 @@
 /**
  * AES-256 Encryption Module
  * Client-side only - never transmits data
+ *
+ * Ciphertexts are self-describing JSON envelopes:
+ *   { version, algorithm, kdf, ...kdf parameters, salt, iv, data }
+ * where the kdf parameters are hash and iterations for PBKDF2, N, r and p for scrypt.
+ * Ciphertexts under a raw key (the wallet vault key) have kdf 'none' and no salt.
+ * Version 1 is the original bare base64(salt + iv + ciphertext) format.
  */
 
 class EncryptionManager {
@@ -11,12 +17,53 @@ class EncryptionManager {
         this.saltSize = SecurityConfig.encryption.saltSize;
         this.iterations = SecurityConfig.encryption.iterations;
         this.hash = SecurityConfig.encryption.hash;
+        this.kdf = SecurityConfig.keyDerivation.algorithm;
+        this.scryptParams = {
+            N: SecurityConfig.keyDerivation.scrypt.N,
+            r: SecurityConfig.keyDerivation.scrypt.r,
+            p: SecurityConfig.keyDerivation.scrypt.p
+        };
+        this.version = 2;
+        
+        // Parameters every version 1 ciphertext was written with
+        this.legacyParams = {
+            version: 1,
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: 100000
+        };
+    }
+    
+    /**
+     * Parameters new ciphertexts are written with
+     */
+    getCurrentParams() {
+        const params = {
+            version: this.version,
+            algorithm: this.algorithm,
+            kdf: this.kdf
+        };
+        
+        if (this.kdf === 'scrypt') {
+            return { ...params, ...this.scryptParams };
+        }
+        
+        return { ...params, hash: this.hash, iterations: this.iterations };
+    }
+    
+    /**
+     * Use scrypt cost calibrated for this device
+     */
+    setScryptParams(params) {
+        KDF.validateParams(params.N, params.r, params.p);
+        this.scryptParams = { N: params.N, r: params.r, p: params.p };
     }
     
     /**
      * Derive encryption key from password
      */
-    async deriveKey(password, salt) {
+    async deriveKey(password, salt, params = this.getCurrentParams()) {
         if (!password || !salt) {
             throw new Error('Password and salt required');
         }
@@ -24,6 +71,14 @@ class EncryptionManager {
         const encoder = new TextEncoder();
         const passwordBuffer = encoder.encode(password);
         
+        if (params.kdf === 'scrypt') {
+            return this.deriveScryptKey(passwordBuffer, salt, params);
+        }
+        
+        if (params.kdf !== 'PBKDF2') {
+            throw new Error(`Unsupported key derivation: ${params.kdf}`);
+        }
+        
         // Import password as raw key
         const baseKey = await window.crypto.subtle.importKey(
             'raw',
@@ -38,12 +93,12 @@ class EncryptionManager {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: this.iterations,
-                hash: this.hash
+                iterations: params.iterations,
+                hash: params.hash
             },
             baseKey,
             {
-                name: this.algorithm.split('-')[0], // 'AES'
+                name: params.algorithm,
                 length: this.keySize
             },
             false, // not extractable
@@ -56,17 +111,33 @@ class EncryptionManager {
         return key;
     }
     
+    /**
+     * Derive encryption key with memory-hard scrypt
+     */
+    async deriveScryptKey(passwordBuffer, salt, params) {
+        const keyBytes = await KDF.scrypt(passwordBuffer, salt, params.N, params.r, params.p, this.keySize / 8);
+        
+        const key = await this.importRawKey(keyBytes, params.algorithm);
+        
+        // Zero out sensitive data
+        keyBytes.fill(0);
+        this.zeroBuffer(passwordBuffer);
+        
+        return key;
+    }
+    
     /**
      * Encrypt data with password
      */
     async encrypt(data, password) {
         try {
             // Generate salt and IV
+            const params = this.getCurrentParams();
             const salt = SecurityConfig.generateSecureRandom(this.saltSize);
             const iv = SecurityConfig.generateSecureRandom(this.ivSize);
             
             // Derive key
-            const key = await this.deriveKey(password, salt);
+            const key = await this.deriveKey(password, salt, params);
             
             // Convert data to ArrayBuffer if it's a string
             let dataBuffer;
@@ -82,31 +153,27 @@ class EncryptionManager {
             // Encrypt
             const encrypted = await window.crypto.subtle.encrypt(
                 {
-                    name: this.algorithm,
+                    name: params.algorithm,
                     iv: iv
                 },
                 key,
                 dataBuffer
             );
             
-            // Combine salt + iv + encrypted data
-            const result = new Uint8Array(
-                salt.byteLength + iv.byteLength + encrypted.byteLength
-            );
-            
-            result.set(new Uint8Array(salt), 0);
-            result.set(new Uint8Array(iv), salt.byteLength);
-            result.set(new Uint8Array(encrypted), salt.byteLength + iv.byteLength);
-            
-            // Convert to base64 for storage
-            const base64 = this.arrayBufferToBase64(result);
+            // Self-describing envelope so parameters can change later
+            const envelope = JSON.stringify({
+                ...params,
+                salt: this.arrayBufferToBase64(salt),
+                iv: this.arrayBufferToBase64(iv),
+                data: this.arrayBufferToBase64(encrypted)
+            });
             
             // Clean up
             this.zeroBuffer(salt);
             this.zeroBuffer(iv);
             this.zeroBuffer(dataBuffer);
             
-            return base64;
+            return envelope;
             
         } catch (error) {
             console.error('Encryption failed:', error);
@@ -119,26 +186,16 @@ class EncryptionManager {
      */
     async decrypt(encryptedData, password) {
         try {
-            // Convert from base64
-            const encryptedBuffer = this.base64ToArrayBuffer(encryptedData);
-            
-            // Extract salt, iv, and ciphertext
-            const salt = encryptedBuffer.slice(0, this.saltSize);
-            const iv = encryptedBuffer.slice(
-                this.saltSize,
-                this.saltSize + this.ivSize
-            );
-            const ciphertext = encryptedBuffer.slice(
-                this.saltSize + this.ivSize
-            );
+            // Use the parameters the data was encrypted with
+            const { params, salt, iv, ciphertext } = this.parseEnvelope(encryptedData);
             
             // Derive key
-            const key = await this.deriveKey(password, salt);
+            const key = await this.deriveKey(password, salt, params);
             
             // Decrypt
             const decrypted = await window.crypto.subtle.decrypt(
                 {
-                    name: this.algorithm,
+                    name: params.algorithm,
                     iv: iv
                 },
                 key,
@@ -162,6 +219,125 @@ class EncryptionManager {
         }
     }
     
+    /**
+     * Generate random key for encrypting wallet secrets
+     */
+    generateVaultKey() {
+        return SecurityConfig.generateSecureRandom(this.keySize / 8);
+    }
+    
+    /**
+     * Import raw key bytes as non-extractable AES key
+     */
+    async importRawKey(keyBytes, algorithm = this.algorithm) {
+        return window.crypto.subtle.importKey(
+            'raw',
+            keyBytes,
+            { name: algorithm },
+            false, // not extractable
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Encrypt string with raw key (no key derivation)
+     */
+    async encryptWithKey(data, keyBytes) {
+        try {
+            const iv = SecurityConfig.generateSecureRandom(this.ivSize);
+            const key = await this.importRawKey(keyBytes);
+            const dataBuffer = new TextEncoder().encode(data);
+            
+            const encrypted = await window.crypto.subtle.encrypt(
+                { name: this.algorithm, iv: iv },
+                key,
+                dataBuffer
+            );
+            
+            const envelope = JSON.stringify({
+                version: this.version,
+                algorithm: this.algorithm,
+                kdf: 'none',
+                iv: this.arrayBufferToBase64(iv),
+                data: this.arrayBufferToBase64(encrypted)
+            });
+            
+            dataBuffer.fill(0);
+            
+            return envelope;
+            
+        } catch (error) {
+            console.error('Encryption failed:', error);
+            throw new Error('Failed to encrypt data');
+        }
+    }
+    
+    /**
+     * Decrypt string encrypted with raw key
+     */
+    async decryptWithKey(encryptedData, keyBytes) {
+        try {
+            const { params, iv, ciphertext } = this.parseEnvelope(encryptedData);
+            if (params.kdf !== 'none') {
+                throw new Error('Data is encrypted with a password');
+            }
+            
+            const key = await this.importRawKey(keyBytes, params.algorithm);
+            const decrypted = await window.crypto.subtle.decrypt(
+                { name: params.algorithm, iv: iv },
+                key,
+                ciphertext
+            );
+            
+            const result = new TextDecoder().decode(decrypted);
+            this.zeroBuffer(decrypted);
+            
+            return result;
+            
+        } catch (error) {
+            console.error('Decryption failed:', error);
+            throw new Error('Failed to decrypt data');
+        }
+    }
+    
+    /**
+     * Split ciphertext into parameters, salt, iv and encrypted data
+     */
+    parseEnvelope(encryptedData) {
+        // Version 1: base64(salt + iv + ciphertext)
+        if (!encryptedData.startsWith('{')) {
+            const buffer = this.base64ToArrayBuffer(encryptedData);
+            return {
+                params: this.legacyParams,
+                salt: buffer.slice(0, this.saltSize),
+                iv: buffer.slice(this.saltSize, this.saltSize + this.ivSize),
+                ciphertext: buffer.slice(this.saltSize + this.ivSize)
+            };
+        }
+        
+        const { salt, iv, data, ...params } = JSON.parse(encryptedData);
+        if (params.version > this.version) {
+            throw new Error(`Unsupported encryption version: ${params.version}`);
+        }
+        
+        return {
+            params: params,
+            salt: salt ? this.base64ToArrayBuffer(salt) : null,
+            iv: this.base64ToArrayBuffer(iv),
+            ciphertext: this.base64ToArrayBuffer(data)
+        };
+    }
+    
+    /**
+     * Check whether ciphertext was written with outdated parameters
+     */
+    needsUpgrade(encryptedData) {
+        const { params } = this.parseEnvelope(encryptedData);
+        const current = this.getCurrentParams();
+        
+        return Object.keys(current).some(key => params[key] !== current[key]);
+    }
+    
     /**
      * Generate key pair for signing (if needed in future)
      */
@@ -0,0 +1,99 @@
+/**
+ * Wallet Events
+ * Typed event emitter so UI and integrations subscribe instead of polling
+ */
+
+// Event names and their payloads
+const WalletEvents = Object.freeze({
+    LOCKED: 'locked', // { reason }
+    UNLOCKED: 'unlocked', // { walletId, accountIndex }
+    ACCOUNT_SWITCHED: 'accountSwitched', // { index, account }
+    CHAIN_SWITCHED: 'chainSwitched', // { chain, previous }
+    BALANCE_UPDATED: 'balanceUpdated', // { chain, token, address, balance, previous }
+    TRANSACTION_SUBMITTED: 'transactionSubmitted', // { chain, hash, type }
+    TRANSACTION_CONFIRMED: 'transactionConfirmed', // { chain, hash, blockNumber, confirmations }
+    TRANSACTION_FAILED: 'transactionFailed', // { chain, hash, error }
+    TOKEN_ADDED: 'tokenAdded', // { token }
+    HISTORY_SYNCED: 'historySynced', // { chain, added }
+    NOTIFICATION: 'notification' // { message, type }
+});
+
+class EventEmitter {
+    constructor(events) {
+        this.events = new Set(events);
+        this.listeners = new Map(); // event -> Set of callbacks
+    }
+    
+    /**
+     * Subscribe to event, returns unsubscribe function
+     */
+    on(event, callback) {
+        this.assertEvent(event);
+        
+        if (typeof callback !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+        
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        
+        return () => this.off(event, callback);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of event only
+     */
+    once(event, callback) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            callback(payload);
+        });
+        return unsubscribe;
+    }
+    
+    /**
+     * Unsubscribe from event
+     */
+    off(event, callback) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.delete(callback);
+        }
+    }
+    
+    /**
+     * Notify listeners of event
+     */
+    emit(event, payload = {}) {
+        this.assertEvent(event);
+        
+        // Copy so listeners may unsubscribe while being called
+        const callbacks = [...(this.listeners.get(event) || [])];
+        callbacks.forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`Listener for ${event} failed:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Reject event names that are not declared
+     */
+    assertEvent(event) {
+        if (!this.events.has(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter, WalletEvents };
+} else {
+    window.EventEmitter = EventEmitter;
+    window.WalletEvents = WalletEvents;
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * History Sync
+ * Pulls incoming and outgoing transfers of the selected account from each
+ * chain into the transaction history, resuming from per-address cursors
+ */
+
+class HistorySyncManager {
+    constructor() {
+        this.syncTimer = null;
+        this.syncing = null;
+    }
+    
+    /**
+     * Start periodic history sync
+     */
+    async start() {
+        this.stop();
+        
+        this.syncTimer = setInterval(() => {
+            this.sync().catch(error => {
+                console.error('Failed to sync history:', error);
+            });
+        }, AppConfig.wallet.historySyncInterval);
+        
+        return this.sync();
+    }
+    
+    /**
+     * Stop periodic history sync
+     */
+    stop() {
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+    }
+    
+    /**
+     * Sync every chain once, returns number of transactions added
+     */
+    async sync() {
+        if (Wallet.isLocked) {
+            this.stop();
+            return 0;
+        }
+        
+        // Share one in-flight sync between callers
+        if (!this.syncing) {
+            this.syncing = this.syncAll().finally(() => {
+                this.syncing = null;
+            });
+        }
+        
+        return this.syncing;
+    }
+    
+    /**
+     * Sync chains side by side
+     */
+    async syncAll() {
+        const chains = Object.keys(Wallet.wallet.addresses);
+        
+        const results = await Promise.all(chains.map(async (chain) => {
+            try {
+                return await this.syncChain(chain);
+            } catch (error) {
+                // Cursor keeps the progress made, next sync resumes there
+                console.warn(`Failed to sync ${chain} history:`, error);
+                return 0;
+            }
+        }));
+        
+        return results.reduce((sum, added) => sum + added, 0);
+    }
+    
+    /**
+     * Sync every address of the chain's account up to the chain tip
+     */
+    async syncChain(chain) {
+        const chainManager = Wallet.chains.get(chain);
+        if (!chainManager || !chainManager.getHistory) {
+            return 0;
+        }
+        
+        const provider = Wallet.providers.get(chain);
+        const addresses = Wallet.getChainAddresses(chain);
+        let added = 0;
+        
+        for (const address of addresses) {
+            let cursor = await Storage.getHistoryCursor(chain, address);
+            let done = false;
+            
+            while (!done && !Wallet.isLocked) {
+                const result = await chainManager.getHistory(address, cursor, provider, addresses);
+                const transactions = await this.resolveAmounts(chain, result.transactions);
+                
+                added += await Storage.mergeTransactions(
+                    transactions.map(tx => ({ ...tx, chain: chain }))
+                );
+                
+                cursor = result.cursor;
+                done = result.done;
+                await Storage.saveHistoryCursor(chain, address, cursor);
+            }
+        }
+        
+        if (added > 0) {
+            Wallet.events.emit(WalletEvents.HISTORY_SYNCED, { chain: chain, added: added });
+        }
+        
+        return added;
+    }
+    
+    /**
+     * Scale raw token values by token decimals, dropping transfers of
+     * contracts that are not readable tokens
+     */
+    async resolveAmounts(chain, transactions) {
+        const tokens = new Map();
+        const resolved = [];
+        
+        for (const tx of transactions) {
+            if (tx.value === undefined) {
+                resolved.push(tx);
+                continue;
+            }
+            
+            if (!tokens.has(tx.token)) {
+                tokens.set(tx.token, await TokenManager.resolveToken(tx.token, chain).catch(error => {
+                    console.warn(`Failed to resolve token ${tx.token}:`, error);
+                    return null;
+                }));
+            }
+            
+            const token = tokens.get(tx.token);
+            if (token) {
+                const { value, ...rest } = tx;
+                resolved.push({ ...rest, amount: ethers.utils.formatUnits(value, token.decimals) });
+            }
+        }
+        
+        return resolved;
+    }
+}
+
+// Create singleton instance
+const HistorySync = new HistorySyncManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistorySync;
+} else {
+    window.HistorySync = HistorySync;
+}
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Key Derivation Module
+ * Memory-hard scrypt (RFC 7914) for wallet passwords, with device calibration
+ */
+
+class KDFManager {
+    constructor() {
+        this.config = SecurityConfig.keyDerivation.scrypt;
+        this.yieldInterval = 1024; // ROMix iterations between yields to the event loop
+        this.salsaState = new Uint32Array(16);
+        this.blockState = new Uint32Array(16);
+    }
+    
+    /**
+     * Derive key bytes with scrypt
+     */
+    async scrypt(password, salt, N, r, p, length = 32) {
+        this.validateParams(N, r, p);
+        
+        const passwordBytes = typeof password === 'string'
+            ? new TextEncoder().encode(password)
+            : new Uint8Array(password);
+        const blockWords = 32 * r;
+        
+        // B = PBKDF2-HMAC-SHA256(P, S, 1, p * 128 * r)
+        const B = await this.pbkdf2(passwordBytes, new Uint8Array(salt), p * 128 * r);
+        const words = this.bytesToWords(B);
+        
+        const X = new Uint32Array(blockWords);
+        const Y = new Uint32Array(blockWords);
+        const V = new Uint32Array(blockWords * N);
+        
+        for (let i = 0; i < p; i++) {
+            X.set(words.subarray(i * blockWords, (i + 1) * blockWords));
+            await this.roMix(X, Y, V, N, r);
+            words.set(X, i * blockWords);
+        }
+        
+        const mixed = this.wordsToBytes(words);
+        const key = await this.pbkdf2(passwordBytes, mixed, length);
+        
+        // Zero out sensitive data
+        passwordBytes.fill(0);
+        B.fill(0);
+        mixed.fill(0);
+        words.fill(0);
+        X.fill(0);
+        Y.fill(0);
+        V.fill(0);
+        
+        return key;
+    }
+    
+    /**
+     * Check scrypt parameters are usable
+     */
+    validateParams(N, r, p) {
+        if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+            throw new Error('scrypt N must be a power of 2');
+        }
+        
+        if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+            throw new Error('scrypt r and p must be positive integers');
+        }
+        
+        if (128 * r * N > this.config.maxMemory) {
+            throw new Error('scrypt parameters exceed memory limit');
+        }
+    }
+    
+    /**
+     * Single-iteration PBKDF2-HMAC-SHA256
+     */
+    async pbkdf2(passwordBytes, salt, length) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            passwordBytes,
+            { name: 'PBKDF2' },
+            false,
+            ['deriveBits']
+        );
+        
+        const bits = await window.crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: 1,
+                hash: 'SHA-256'
+            },
+            baseKey,
+            length * 8
+        );
+        
+        return new Uint8Array(bits);
+    }
+    
+    /**
+     * Sequential memory-hard mix of one block (RFC 7914 section 5)
+     */
+    async roMix(X, Y, V, N, r) {
+        const blockWords = 32 * r;
+        
+        for (let i = 0; i < N; i++) {
+            V.set(X, i * blockWords);
+            this.blockMix(X, Y, r);
+            
+            if (i % this.yieldInterval === 0) await this.pause();
+        }
+        
+        for (let i = 0; i < N; i++) {
+            // Integerify: first word of the last 64-byte sub-block
+            const offset = (X[(2 * r - 1) * 16] & (N - 1)) * blockWords;
+            for (let k = 0; k < blockWords; k++) {
+                X[k] ^= V[offset + k];
+            }
+            this.blockMix(X, Y, r);
+            
+            if (i % this.yieldInterval === 0) await this.pause();
+        }
+    }
+    
+    /**
+     * scrypt BlockMix with Salsa20/8 (RFC 7914 section 4)
+     */
+    blockMix(B, Y, r) {
+        const T = this.blockState;
+        T.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+        
+        for (let i = 0; i < 2 * r; i++) {
+            for (let k = 0; k < 16; k++) {
+                T[k] ^= B[i * 16 + k];
+            }
+            this.salsa20_8(T);
+            Y.set(T, i * 16);
+        }
+        
+        // Even blocks first, then odd blocks
+        for (let i = 0; i < r; i++) {
+            B.set(Y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+            B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+        }
+    }
+    
+    /**
+     * Salsa20/8 core, in place
+     */
+    salsa20_8(B) {
+        const x = this.salsaState;
+        x.set(B);
+        
+        const R = (a, b) => (a << b) | (a >>> (32 - b));
+        
+        for (let i = 0; i < 8; i += 2) {
+            // Columns
+            x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+            x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+            x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+            x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+            x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+            x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+            x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+            x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+            
+            // Rows
+            x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+            x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+            x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+            x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+            x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+            x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+            x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+            x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+        }
+        
+        for (let i = 0; i < 16; i++) {
+            B[i] += x[i];
+        }
+    }
+    
+    /**
+     * Pick scrypt parameters that take about targetTime ms on this device
+     */
+    async calibrate(targetTime = this.config.targetTime) {
+        const { r, p, minN, maxN } = this.config;
+        const probeN = 4096;
+        const salt = SecurityConfig.generateSecureRandom(16);
+        
+        const started = Date.now();
+        await this.scrypt('calibration', salt, probeN, r, p);
+        const elapsed = Math.max(Date.now() - started, 1);
+        
+        // Cost grows linearly with N
+        let N = probeN;
+        while (N < maxN && elapsed * (N * 2) / probeN <= targetTime) {
+            N *= 2;
+        }
+        
+        return { N: Math.max(N, minN), r: r, p: p };
+    }
+    
+    /**
+     * Let the UI render between rounds
+     */
+    pause() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    /**
+     * Little-endian bytes to 32-bit words
+     */
+    bytesToWords(bytes) {
+        const words = new Uint32Array(bytes.length / 4);
+        for (let i = 0; i < words.length; i++) {
+            words[i] = bytes[i * 4] |
+                (bytes[i * 4 + 1] << 8) |
+                (bytes[i * 4 + 2] << 16) |
+                (bytes[i * 4 + 3] << 24);
+        }
+        return words;
+    }
+    
+    /**
+     * 32-bit words to little-endian bytes
+     */
+    wordsToBytes(words) {
+        const bytes = new Uint8Array(words.length * 4);
+        for (let i = 0; i < words.length; i++) {
+            bytes[i * 4] = words[i];
+            bytes[i * 4 + 1] = words[i] >>> 8;
+            bytes[i * 4 + 2] = words[i] >>> 16;
+            bytes[i * 4 + 3] = words[i] >>> 24;
+        }
+        return bytes;
+    }
+}
+
+// Create singleton instance
+const KDF = new KDFManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KDF;
+} else {
+    window.KDF = KDF;
+}
\ No newline at end of file
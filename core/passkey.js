@@ -0,0 +1,189 @@
+/**
+ * Passkey Quick Unlock
+ * A WebAuthn credential's PRF output derives a key that wraps the wallet's
+ * vault key, the same key the password wraps. The password itself keeps
+ * working as the recovery path, and changing it leaves the passkey valid.
+ */
+
+class PasskeyManager {
+    constructor() {
+        this.info = new TextEncoder().encode('eterna-wallet passkey unlock v1');
+        this.saltSize = 32;
+        this.timeout = 60000;
+    }
+    
+    /**
+     * Check browser support for WebAuthn (PRF support is only known after registration)
+     */
+    isSupported() {
+        return !!(window.PublicKeyCredential && navigator.credentials && window.isSecureContext);
+    }
+    
+    /**
+     * Register a passkey and wrap the wallet vault key with its PRF output
+     */
+    async enable(wallet, vaultKey) {
+        if (!this.isSupported()) {
+            throw new Error('Passkeys are not supported in this browser');
+        }
+        
+        const salt = SecurityConfig.generateSecureRandom(this.saltSize);
+        
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: SecurityConfig.generateSecureRandom(32),
+                rp: { name: AppConfig.name },
+                user: {
+                    id: SecurityConfig.generateSecureRandom(16),
+                    name: wallet.name,
+                    displayName: wallet.name
+                },
+                pubKeyCredParams: [
+                    { type: 'public-key', alg: -7 }, // ES256
+                    { type: 'public-key', alg: -257 } // RS256
+                ],
+                authenticatorSelection: {
+                    residentKey: 'preferred',
+                    userVerification: 'required'
+                },
+                timeout: this.timeout,
+                extensions: { prf: { eval: { first: salt } } }
+            }
+        });
+        
+        const results = credential.getClientExtensionResults();
+        if (!results.prf || !results.prf.enabled) {
+            throw new Error('This authenticator does not support the PRF extension');
+        }
+        
+        const credentialId = Encryption.arrayBufferToBase64(credential.rawId);
+        
+        // Not every authenticator evaluates the PRF during registration
+        const output = results.prf.results && results.prf.results.first
+            ? results.prf.results.first
+            : await this.evaluate(credentialId, salt);
+        
+        const key = await this.deriveWrappingKey(output);
+        const iv = SecurityConfig.generateSecureRandom(SecurityConfig.encryption.ivSize);
+        const wrapped = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            vaultKey
+        );
+        
+        this.zeroBuffer(output);
+        
+        return {
+            credentialId: credentialId,
+            salt: Encryption.arrayBufferToBase64(salt),
+            iv: Encryption.arrayBufferToBase64(iv),
+            wrappedKey: Encryption.arrayBufferToBase64(wrapped),
+            createdAt: Date.now()
+        };
+    }
+    
+    /**
+     * Ask the authenticator for the PRF output and unwrap the wallet vault key
+     * (caller zeroes it)
+     */
+    async unwrap(passkey) {
+        if (!this.isSupported()) {
+            throw new Error('Passkeys are not supported in this browser');
+        }
+        
+        const output = await this.evaluate(
+            passkey.credentialId,
+            new Uint8Array(Encryption.base64ToArrayBuffer(passkey.salt))
+        );
+        
+        try {
+            const key = await this.deriveWrappingKey(output);
+            const vaultKey = await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: Encryption.base64ToArrayBuffer(passkey.iv) },
+                key,
+                Encryption.base64ToArrayBuffer(passkey.wrappedKey)
+            );
+            
+            return new Uint8Array(vaultKey);
+            
+        } catch (error) {
+            console.error('Failed to unwrap passkey secret:', error);
+            throw new Error('Passkey unlock failed, use your password');
+            
+        } finally {
+            this.zeroBuffer(output);
+        }
+    }
+    
+    /**
+     * Evaluate the credential's PRF for salt (prompts for user verification)
+     */
+    async evaluate(credentialId, salt) {
+        const assertion = await navigator.credentials.get({
+            publicKey: {
+                challenge: SecurityConfig.generateSecureRandom(32),
+                allowCredentials: [{
+                    type: 'public-key',
+                    id: Encryption.base64ToArrayBuffer(credentialId)
+                }],
+                userVerification: 'required',
+                timeout: this.timeout,
+                extensions: { prf: { eval: { first: salt } } }
+            }
+        });
+        
+        if (!assertion) {
+            throw new Error('Passkey request was cancelled');
+        }
+        
+        const results = assertion.getClientExtensionResults();
+        if (!results.prf || !results.prf.results || !results.prf.results.first) {
+            throw new Error('Passkey did not return a PRF result');
+        }
+        
+        return results.prf.results.first;
+    }
+    
+    /**
+     * HKDF the PRF output into an AES-GCM wrapping key
+     */
+    async deriveWrappingKey(prfOutput) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            prfOutput,
+            { name: 'HKDF' },
+            false,
+            ['deriveKey']
+        );
+        
+        return window.crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(32),
+                info: this.info
+            },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // not extractable
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Zero out sensitive data in buffer
+     */
+    zeroBuffer(buffer) {
+        SecurityConfig.zeroBuffer(buffer);
+    }
+}
+
+// Create singleton instance
+const Passkey = new PasskeyManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Passkey;
+} else {
+    window.Passkey = Passkey;
+}
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Portfolio Manager
+ * Aggregates native and token balances across chains and values them
+ */
+
+class PortfolioManager {
+    constructor() {
+        this.holdings = [];
+        this.total = 0;
+        this.currency = AppConfig.wallet.defaultCurrency;
+        this.lastUpdated = null;
+        this.listeners = new Set();
+        this.updateTimer = null;
+        this.refreshing = null;
+    }
+    
+    /**
+     * Start periodic balance updates
+     */
+    async start() {
+        this.stop();
+        
+        this.currency = await Storage.loadSetting('currency', AppConfig.wallet.defaultCurrency);
+        
+        this.updateTimer = setInterval(() => {
+            this.refresh().catch(error => {
+                console.error('Failed to refresh portfolio:', error);
+            });
+        }, AppConfig.wallet.balanceUpdateInterval);
+        
+        return this.refresh();
+    }
+    
+    /**
+     * Stop periodic balance updates
+     */
+    stop() {
+        if (this.updateTimer) {
+            clearInterval(this.updateTimer);
+            this.updateTimer = null;
+        }
+    }
+    
+    /**
+     * Drop holdings of the previous account
+     */
+    reset() {
+        this.holdings = [];
+        this.total = 0;
+        this.lastUpdated = null;
+    }
+    
+    /**
+     * Subscribe to portfolio updates, returns unsubscribe function
+     */
+    onUpdate(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+    
+    /**
+     * Change valuation currency
+     */
+    async setCurrency(currency) {
+        this.currency = currency;
+        await Storage.saveSetting('currency', currency);
+        return this.refresh();
+    }
+    
+    /**
+     * Fetch balances for every wallet address and revalue portfolio
+     */
+    async refresh() {
+        if (Wallet.isLocked || !Wallet.wallet) {
+            this.stop();
+            return this.getSnapshot();
+        }
+        
+        // Share one in-flight refresh between callers
+        if (!this.refreshing) {
+            this.refreshing = this.update().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        
+        return this.refreshing;
+    }
+    
+    /**
+     * Load balances and prices, then notify listeners
+     */
+    async update() {
+        const chains = Object.keys(Wallet.wallet.addresses);
+        
+        const results = await Promise.all(chains.map(async (chain) => {
+            try {
+                return await this.getChainHoldings(chain);
+            } catch (error) {
+                // Keep last known balances for chains that failed
+                console.warn(`Failed to load ${chain} balances:`, error);
+                return this.holdings.filter(holding => holding.chain === chain);
+            }
+        }));
+        
+        const holdings = results.flat();
+        const prices = await Prices.getPrices(holdings, this.currency);
+        
+        holdings.forEach(holding => {
+            const price = prices.get(Prices.getAssetKey(holding.chain, holding.token));
+            holding.price = price ? price.price : null;
+            holding.value = price ? parseFloat(holding.balance) * price.price : null;
+            holding.stale = price ? price.stale : false;
+            holding.priceTimestamp = price ? price.timestamp : null;
+        });
+        
+        this.holdings = holdings.sort((a, b) => (b.value || 0) - (a.value || 0));
+        this.total = holdings.reduce((sum, holding) => sum + (holding.value || 0), 0);
+        this.lastUpdated = Date.now();
+        
+        const snapshot = this.getSnapshot();
+        this.listeners.forEach(callback => {
+            try {
+                callback(snapshot);
+            } catch (error) {
+                console.error('Portfolio listener failed:', error);
+            }
+        });
+        
+        return snapshot;
+    }
+    
+    /**
+     * Get native and non-zero token balances for chain
+     */
+    async getChainHoldings(chain) {
+        const holdings = [{
+            chain: chain,
+            token: 'native',
+            symbol: Formatter.formatChainSymbol(chain),
+            name: Formatter.formatNetworkName(chain),
+            balance: await Wallet.getBalance(chain)
+        }];
+        
+        const chainManager = Wallet.chains.get(chain);
+        if (!chainManager || !chainManager.getTokenBalance) {
+            return holdings;
+        }
+        
+        const tokens = await TokenManager.getTokens(chain);
+        const balances = await Promise.all(tokens.map(async (token) => {
+            try {
+                return await Wallet.getTokenBalance(chain, token.address);
+            } catch (error) {
+                console.warn(`Failed to load ${token.symbol} balance:`, error);
+                return '0';
+            }
+        }));
+        
+        tokens.forEach((token, i) => {
+            if (parseFloat(balances[i]) > 0) {
+                holdings.push({
+                    chain: chain,
+                    token: token.address,
+                    symbol: token.symbol,
+                    name: token.name,
+                    balance: balances[i]
+                });
+            }
+        });
+        
+        return holdings;
+    }
+    
+    /**
+     * Get current portfolio state
+     */
+    getSnapshot() {
+        return {
+            holdings: this.holdings,
+            total: this.total,
+            currency: this.currency,
+            lastUpdated: this.lastUpdated,
+            // Oldest price the valuation relies on
+            stale: this.holdings.some(holding => holding.stale),
+            pricesUpdated: this.holdings.reduce(
+                (oldest, holding) => holding.priceTimestamp && (!oldest || holding.priceTimestamp < oldest)
+                    ? holding.priceTimestamp
+                    : oldest,
+                null
+            )
+        };
+    }
+}
+
+// Create singleton instance
+const Portfolio = new PortfolioManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Portfolio;
+} else {
+    window.Portfolio = Portfolio;
+}
\ No newline at end of file
@@ -0,0 +1,330 @@
+/**
+ * Price Service
+ * Fiat prices from a pluggable provider with an offline cache
+ *
+ * A provider is any object with:
+ *   name
+ *   async getPrices(assets, currency) -> Map(asset.key -> price)
+ * where each asset is { key, chain, token, symbol }.
+ */
+
+/**
+ * CoinGecko price provider
+ */
+class CoinGeckoPriceProvider {
+    constructor() {
+        this.name = 'coingecko';
+        this.baseUrl = 'https://api.coingecko.com/api/v3';
+        
+        // CoinGecko ids for native coins and token platforms
+        this.nativeCoinIds = {
+            ethereum: 'ethereum',
+            bsc: 'binancecoin',
+            polygon: 'matic-network',
+            tron: 'tron',
+            bitcoin: 'bitcoin'
+        };
+        this.tokenPlatforms = {
+            ethereum: 'ethereum',
+            bsc: 'binance-smart-chain',
+            polygon: 'polygon-pos',
+            tron: 'tron'
+        };
+    }
+    
+    /**
+     * Get prices - one request for native coins, one per chain for tokens
+     */
+    async getPrices(assets, currency) {
+        const prices = new Map();
+        const vsCurrency = currency.toLowerCase();
+        const requests = [];
+        
+        const natives = assets.filter(asset => asset.token === 'native' && this.nativeCoinIds[asset.chain]);
+        if (natives.length > 0) {
+            const ids = [...new Set(natives.map(asset => this.nativeCoinIds[asset.chain]))];
+            requests.push({
+                label: 'native coins',
+                url: `${this.baseUrl}/simple/price?ids=${ids.join(',')}&vs_currencies=${vsCurrency}`,
+                assets: natives,
+                lookup: (data, asset) => data[this.nativeCoinIds[asset.chain]]
+            });
+        }
+        
+        const chains = [...new Set(assets
+            .filter(asset => asset.token !== 'native' && this.tokenPlatforms[asset.chain])
+            .map(asset => asset.chain))];
+        
+        chains.forEach(chain => {
+            const tokens = assets.filter(asset => asset.chain === chain && asset.token !== 'native');
+            requests.push({
+                label: `${chain} tokens`,
+                url: `${this.baseUrl}/simple/token_price/${this.tokenPlatforms[chain]}` +
+                    `?contract_addresses=${tokens.map(asset => asset.token).join(',')}&vs_currencies=${vsCurrency}`,
+                assets: tokens,
+                lookup: (data, asset) => data[asset.token.toLowerCase()] || data[asset.token]
+            });
+        });
+        
+        // A failed request only loses its own prices, the rest are kept
+        await Promise.all(requests.map(async (request) => {
+            try {
+                const response = await fetch(request.url);
+                if (!response.ok) {
+                    throw new Error(`Price request failed: ${response.status}`);
+                }
+                const data = await response.json();
+                
+                request.assets.forEach(asset => {
+                    const entry = request.lookup(data, asset);
+                    if (entry && entry[vsCurrency] !== undefined) {
+                        prices.set(asset.key, entry[vsCurrency]);
+                    }
+                });
+                
+            } catch (error) {
+                console.warn(`Failed to fetch prices for ${request.label}:`, error);
+            }
+        }));
+        
+        return prices;
+    }
+}
+
+/**
+ * Static price provider - local stand-in feed for testing or offline use
+ * Prices are looked up by asset key ("ethereum:native") or by symbol
+ */
+class StaticPriceProvider {
+    constructor(prices = {}) {
+        this.name = 'static';
+        this.prices = { ...prices };
+    }
+    
+    /**
+     * Set price for asset key or symbol
+     */
+    setPrice(keyOrSymbol, price) {
+        this.prices[keyOrSymbol] = price;
+    }
+    
+    /**
+     * Get prices from the static table
+     */
+    async getPrices(assets, currency) {
+        const prices = new Map();
+        
+        assets.forEach(asset => {
+            const price = this.prices[asset.key] !== undefined
+                ? this.prices[asset.key]
+                : this.prices[asset.symbol];
+            if (price !== undefined) {
+                prices.set(asset.key, price);
+            }
+        });
+        
+        return prices;
+    }
+}
+
+class PriceManager {
+    constructor() {
+        this.provider = new CoinGeckoPriceProvider();
+        this.memory = new Map();
+        this.queue = new Map();
+        this.batchTimer = null;
+        this.batchDelay = 50; // ms to collect requests into one batch
+        
+        // Prices are refetched after priceUpdateInterval and flagged stale after 10 intervals
+        this.cacheTTL = AppConfig.wallet.priceUpdateInterval;
+        this.staleAfter = AppConfig.wallet.priceUpdateInterval * 10;
+    }
+    
+    /**
+     * Swap price provider (e.g. StaticPriceProvider for testing)
+     */
+    setProvider(provider) {
+        this.provider = provider;
+        this.memory.clear();
+    }
+    
+    /**
+     * Asset key (chain + contract)
+     */
+    getAssetKey(chain, token = 'native') {
+        return `${chain}:${token === 'native' ? 'native' : token.toLowerCase()}`;
+    }
+    
+    /**
+     * Get price for asset ({ chain, token, symbol })
+     * Returns { price, currency, timestamp, stale } or null
+     */
+    async getPrice(asset, currency = AppConfig.wallet.defaultCurrency) {
+        const request = {
+            key: this.getAssetKey(asset.chain, asset.token || 'native'),
+            chain: asset.chain,
+            token: asset.token || 'native',
+            symbol: asset.symbol
+        };
+        
+        const cached = await this.getCached(request.key, currency);
+        if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
+            return this.toResult(cached);
+        }
+        
+        return this.enqueue(request, currency);
+    }
+    
+    /**
+     * Get prices for several assets, keyed by asset key
+     */
+    async getPrices(assets, currency = AppConfig.wallet.defaultCurrency) {
+        const results = await Promise.all(
+            assets.map(asset => this.getPrice(asset, currency))
+        );
+        
+        const prices = new Map();
+        assets.forEach((asset, i) => {
+            if (results[i]) {
+                prices.set(this.getAssetKey(asset.chain, asset.token || 'native'), results[i]);
+            }
+        });
+        
+        return prices;
+    }
+    
+    /**
+     * Convert amount of asset to currency
+     * Returns { value, stale, timestamp } or null when no price is known
+     */
+    async convert(amount, asset, currency = AppConfig.wallet.defaultCurrency) {
+        const price = await this.getPrice(asset, currency);
+        if (!price) {
+            return null;
+        }
+        
+        return {
+            value: parseFloat(amount) * price.price,
+            stale: price.stale,
+            timestamp: price.timestamp
+        };
+    }
+    
+    /**
+     * Queue request so concurrent callers share one provider call
+     */
+    enqueue(request, currency) {
+        return new Promise((resolve) => {
+            if (!this.queue.has(currency)) {
+                this.queue.set(currency, new Map());
+            }
+            
+            const group = this.queue.get(currency);
+            if (!group.has(request.key)) {
+                group.set(request.key, { asset: request, waiters: [] });
+            }
+            group.get(request.key).waiters.push(resolve);
+            
+            if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flush(), this.batchDelay);
+            }
+        });
+    }
+    
+    /**
+     * Fetch all queued prices, one provider call per currency
+     */
+    async flush() {
+        const queue = this.queue;
+        this.queue = new Map();
+        this.batchTimer = null;
+        
+        for (const [currency, group] of queue) {
+            try {
+                await this.flushGroup(currency, group);
+            } catch (error) {
+                console.error('Failed to flush price batch:', error);
+                
+                // Never leave callers waiting, waiters already resolved keep their result
+                group.forEach(entry => entry.waiters.forEach(resolve => resolve(null)));
+            }
+        }
+    }
+    
+    /**
+     * Fetch prices of one currency and resolve their waiters
+     */
+    async flushGroup(currency, group) {
+        const assets = Array.from(group.values()).map(entry => entry.asset);
+        
+        let prices = new Map();
+        try {
+            prices = await this.provider.getPrices(assets, currency);
+        } catch (error) {
+            // Offline or rate limited - fall back to last known prices
+            console.warn(`Failed to fetch prices from ${this.provider.name}:`, error);
+        }
+        
+        const timestamp = Date.now();
+        const entries = [];
+        prices.forEach((price, key) => {
+            const entry = { key: `${currency}:${key}`, price, currency, timestamp };
+            this.memory.set(entry.key, entry);
+            entries.push(entry);
+        });
+        
+        if (entries.length > 0) {
+            Storage.savePrices(entries).catch(error => {
+                console.warn('Failed to cache prices:', error);
+            });
+        }
+        
+        for (const [key, entry] of group) {
+            const cached = await this.getCached(key, currency);
+            const result = cached ? this.toResult(cached) : null;
+            entry.waiters.forEach(resolve => resolve(result));
+        }
+    }
+    
+    /**
+     * Get last known price from memory or IndexedDB
+     */
+    async getCached(key, currency) {
+        const cacheKey = `${currency}:${key}`;
+        
+        if (this.memory.has(cacheKey)) {
+            return this.memory.get(cacheKey);
+        }
+        
+        const stored = await Storage.getPrice(cacheKey);
+        if (stored) {
+            this.memory.set(cacheKey, stored);
+        }
+        
+        return stored;
+    }
+    
+    /**
+     * Cache entry to price result with staleness flag
+     */
+    toResult(entry) {
+        return {
+            price: entry.price,
+            currency: entry.currency,
+            timestamp: entry.timestamp,
+            stale: Date.now() - entry.timestamp > this.staleAfter
+        };
+    }
+}
+
+// Create singleton instance
+const Prices = new PriceManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Prices, CoinGeckoPriceProvider, StaticPriceProvider };
+} else {
+    window.Prices = Prices;
+    window.CoinGeckoPriceProvider = CoinGeckoPriceProvider;
+    window.StaticPriceProvider = StaticPriceProvider;
+}
\ No newline at end of file
@@ -0,0 +1,403 @@
+/**
+ * RPC Pool
+ * Health-checks configured RPC endpoints, ranks them and fails over
+ */
+
+class RPCPoolManager {
+    constructor() {
+        this.endpoints = new Map(); // chain -> endpoint states
+        this.listeners = new Set();
+        this.healthTimer = null;
+        this.maxBlockLag = 3; // blocks behind the tip before an endpoint is demoted
+    }
+    
+    /**
+     * Start periodic health checks for all chains
+     */
+    async start() {
+        this.stop();
+        
+        this.healthTimer = setInterval(() => {
+            this.checkAll().catch(error => {
+                console.error('RPC health check failed:', error);
+            });
+        }, RPCConfig.fallback.healthCheckInterval);
+        
+        return this.checkAll();
+    }
+    
+    /**
+     * Stop periodic health checks
+     */
+    stop() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+    
+    /**
+     * Subscribe to endpoint status changes, returns unsubscribe function
+     */
+    onStatusChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+    
+    /**
+     * Health-check every RPC chain
+     */
+    async checkAll() {
+        const chains = Object.keys(RPCConfig.endpoints);
+        await Promise.all(chains.map(chain => this.checkChain(chain)));
+        return this.getStatuses();
+    }
+    
+    /**
+     * Health-check every endpoint of a chain and re-rank them
+     */
+    async checkChain(chain) {
+        const results = await Promise.all(
+            RPCConfig.getRpcUrls(chain).map(url => this.checkEndpoint(chain, url))
+        );
+        
+        this.endpoints.set(chain, this.rank(results));
+        this.notify(chain);
+        
+        return this.getStatus(chain);
+    }
+    
+    /**
+     * Probe endpoint for latency and block height
+     */
+    async checkEndpoint(chain, url) {
+        const previous = this.getEndpoint(chain, url);
+        const started = Date.now();
+        
+        try {
+            const blockNumber = chain === 'tron'
+                ? await this.getTronBlockNumber(url)
+                : await this.getEvmBlockNumber(url);
+            
+            return {
+                url: url,
+                healthy: true,
+                latency: Date.now() - started,
+                blockNumber: blockNumber,
+                failures: 0,
+                error: null,
+                lastChecked: Date.now()
+            };
+            
+        } catch (error) {
+            return {
+                url: url,
+                healthy: false,
+                latency: null,
+                blockNumber: previous ? previous.blockNumber : null,
+                failures: (previous ? previous.failures : 0) + 1,
+                error: error.message,
+                lastChecked: Date.now()
+            };
+        }
+    }
+    
+    /**
+     * Get latest block number over JSON-RPC
+     */
+    async getEvmBlockNumber(url) {
+        const result = await this.post(url, {
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'eth_blockNumber',
+            params: []
+        });
+        
+        if (result.error || !result.result) {
+            throw new Error(result.error ? result.error.message : 'Invalid response');
+        }
+        
+        return parseInt(result.result, 16);
+    }
+    
+    /**
+     * Get latest block number from TRON full node
+     */
+    async getTronBlockNumber(url) {
+        const result = await this.post(`${url}/wallet/getnowblock`, {});
+        const header = result.block_header;
+        
+        if (!header || !header.raw_data) {
+            throw new Error('Invalid response');
+        }
+        
+        return header.raw_data.number;
+    }
+    
+    /**
+     * POST JSON with timeout
+     */
+    async post(url, body) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), RPCConfig.fallback.timeout);
+        
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return await response.json();
+            
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+    
+    /**
+     * Order endpoints: healthy and in sync first, then by latency
+     */
+    rank(endpoints) {
+        const tip = Math.max(0, ...endpoints
+            .filter(endpoint => endpoint.healthy)
+            .map(endpoint => endpoint.blockNumber));
+        
+        const score = (endpoint) => {
+            if (!endpoint.healthy) return 2;
+            return tip - endpoint.blockNumber > this.maxBlockLag ? 1 : 0;
+        };
+        
+        return [...endpoints].sort((a, b) =>
+            score(a) - score(b) ||
+            (a.latency === null ? Infinity : a.latency) - (b.latency === null ? Infinity : b.latency) ||
+            a.failures - b.failures
+        );
+    }
+    
+    /**
+     * Get endpoint state
+     */
+    getEndpoint(chain, url) {
+        return (this.endpoints.get(chain) || []).find(endpoint => endpoint.url === url) || null;
+    }
+    
+    /**
+     * Get endpoint URLs in preference order
+     */
+    getRankedUrls(chain) {
+        const ranked = this.endpoints.get(chain);
+        const configured = RPCConfig.getRpcUrls(chain);
+        
+        if (!ranked) {
+            return configured;
+        }
+        
+        // Endpoints added since the last health check go last
+        const known = ranked.map(endpoint => endpoint.url).filter(url => configured.includes(url));
+        return [...known, ...configured.filter(url => !known.includes(url))];
+    }
+    
+    /**
+     * Get preferred endpoint URL
+     */
+    getBestUrl(chain) {
+        return this.getRankedUrls(chain)[0];
+    }
+    
+    /**
+     * Run request against endpoints in order, retrying on transport errors
+     */
+    async request(chain, send) {
+        const urls = this.getRankedUrls(chain);
+        const attempts = Math.min(urls.length, RPCConfig.fallback.maxRetries);
+        let lastError = null;
+        
+        for (let i = 0; i < attempts; i++) {
+            try {
+                const result = await send(urls[i]);
+                this.markSuccess(chain, urls[i]);
+                return result;
+                
+            } catch (error) {
+                lastError = error;
+                
+                // JSON-RPC errors (reverts, bad nonce) fail the same on every node
+                if (!this.isRetryable(error)) {
+                    throw error;
+                }
+                
+                console.warn(`RPC request to ${urls[i]} failed, trying next endpoint:`, error);
+                this.markFailure(chain, urls[i], error);
+            }
+        }
+        
+        throw lastError || new Error(`No RPC endpoint available for ${chain}`);
+    }
+    
+    /**
+     * Transport failures and rate limits are worth retrying elsewhere
+     */
+    isRetryable(error) {
+        return typeof error.code !== 'number' || error.code === -32005;
+    }
+    
+    /**
+     * Record successful request
+     */
+    markSuccess(chain, url) {
+        const endpoint = this.getEndpoint(chain, url);
+        if (endpoint && (!endpoint.healthy || endpoint.failures > 0)) {
+            endpoint.healthy = true;
+            endpoint.failures = 0;
+            endpoint.error = null;
+            this.notify(chain);
+        }
+    }
+    
+    /**
+     * Record failed request and demote endpoint until the next health check
+     */
+    markFailure(chain, url, error) {
+        const endpoints = this.endpoints.get(chain) ||
+            RPCConfig.getRpcUrls(chain).map(rpcUrl => ({
+                url: rpcUrl,
+                healthy: true,
+                latency: null,
+                blockNumber: null,
+                failures: 0,
+                error: null,
+                lastChecked: null
+            }));
+        
+        const endpoint = endpoints.find(e => e.url === url);
+        if (endpoint) {
+            endpoint.healthy = false;
+            endpoint.failures++;
+            endpoint.error = error.message;
+        }
+        
+        this.endpoints.set(chain, this.rank(endpoints));
+        this.notify(chain);
+    }
+    
+    /**
+     * Get status of the endpoint in use for chain
+     */
+    getStatus(chain) {
+        const url = this.getBestUrl(chain);
+        const endpoint = this.getEndpoint(chain, url);
+        
+        return {
+            chain: chain,
+            url: url,
+            healthy: endpoint ? endpoint.healthy : null,
+            latency: endpoint ? endpoint.latency : null,
+            blockNumber: endpoint ? endpoint.blockNumber : null,
+            endpoints: this.endpoints.get(chain) || []
+        };
+    }
+    
+    /**
+     * Get status for every chain
+     */
+    getStatuses() {
+        const statuses = {};
+        Object.keys(RPCConfig.endpoints).forEach(chain => {
+            statuses[chain] = this.getStatus(chain);
+        });
+        return statuses;
+    }
+    
+    /**
+     * Notify status listeners
+     */
+    notify(chain) {
+        const status = this.getStatus(chain);
+        this.listeners.forEach(callback => {
+            try {
+                callback(status);
+            } catch (error) {
+                console.error('RPC status listener failed:', error);
+            }
+        });
+    }
+}
+
+/**
+ * ethers provider that sends every request through the pool
+ */
+class PooledJsonRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+    constructor(chain, network) {
+        super(RPCPool.getBestUrl(chain), network);
+        this.chain = chain;
+        this.staticNetwork = network;
+        this.urlProviders = new Map();
+    }
+    
+    /**
+     * Send JSON-RPC request with failover
+     */
+    send(method, params) {
+        if (method === 'eth_sendRawTransaction') {
+            return this.sendRawTransaction(params);
+        }
+        
+        return RPCPool.request(this.chain, url => this.getUrlProvider(url).send(method, params));
+    }
+    
+    /**
+     * Broadcast with failover; an endpoint that already knows the transaction
+     * (an earlier one accepted it, then timed out) counts as success
+     */
+    sendRawTransaction(params) {
+        const hash = ethers.utils.keccak256(params[0]);
+        
+        return RPCPool.request(this.chain, async (url) => {
+            const provider = this.getUrlProvider(url);
+            
+            try {
+                return await provider.send('eth_sendRawTransaction', params);
+            } catch (error) {
+                // "already known", "nonce too low" and the like for our own transaction
+                const known = await provider.send('eth_getTransactionByHash', [hash]).catch(() => null);
+                if (known) {
+                    return hash;
+                }
+                throw error;
+            }
+        });
+    }
+    
+    /**
+     * Get provider bound to a single endpoint
+     */
+    getUrlProvider(url) {
+        if (!this.urlProviders.has(url)) {
+            this.urlProviders.set(
+                url,
+                new ethers.providers.StaticJsonRpcProvider(
+                    { url, timeout: RPCConfig.fallback.timeout },
+                    this.staticNetwork
+                )
+            );
+        }
+        return this.urlProviders.get(url);
+    }
+}
+
+// Create singleton instance
+const RPCPool = new RPCPoolManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RPCPool, PooledJsonRpcProvider };
+} else {
+    window.RPCPool = RPCPool;
+    window.PooledJsonRpcProvider = PooledJsonRpcProvider;
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Session Manager
+ * Tracks unlock time, last activity and visibility, locks at whichever limit
+ * comes first and keeps lock state in sync across open tabs
+ */
+
+class SessionManager {
+    constructor() {
+        this.active = false;
+        this.unlockedAt = null;
+        this.lastActivity = null;
+        this.hiddenAt = null;
+        this.lockDelay = SecurityConfig.session.lockDelay; // seconds, 0 disables inactivity lock
+        this.timer = null;
+        this.listeners = new Set();
+        this.lastActivityBroadcast = 0;
+        this.activityBroadcastInterval = 15000; // ms between activity messages to other tabs
+        
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel('eterna-wallet-session')
+            : null;
+        
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.onMessage(event.data);
+        }
+    }
+    
+    /**
+     * Start session after unlock
+     */
+    async start() {
+        const now = Date.now();
+        
+        // Setting is stored in minutes
+        const minutes = await Storage.loadSetting('autoLockDelay', SecurityConfig.session.lockDelay / 60);
+        this.lockDelay = minutes * 60;
+        
+        this.active = true;
+        this.unlockedAt = now;
+        this.lastActivity = now;
+        this.hiddenAt = typeof document !== 'undefined' && document.hidden ? now : null;
+        this.schedule();
+    }
+    
+    /**
+     * End session (wallet locked here), locking other tabs too
+     */
+    end() {
+        if (!this.active) {
+            return;
+        }
+        
+        this.reset();
+        this.post({ type: 'lock', reason: 'manual' });
+    }
+    
+    /**
+     * Subscribe to session expiry, returns unsubscribe function
+     */
+    onLock(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+    
+    /**
+     * Record user activity
+     */
+    touch() {
+        if (!this.active) {
+            return;
+        }
+        
+        // Activity after a deadline passed (timers are throttled in background) does not count
+        if (this.check()) {
+            return;
+        }
+        
+        const now = Date.now();
+        this.lastActivity = now;
+        this.schedule();
+        
+        if (now - this.lastActivityBroadcast >= this.activityBroadcastInterval) {
+            this.lastActivityBroadcast = now;
+            this.post({ type: 'activity', at: now });
+        }
+    }
+    
+    /**
+     * Change inactivity limit (minutes, 0 disables)
+     */
+    setLockDelay(minutes) {
+        this.lockDelay = minutes * 60;
+        
+        if (this.active) {
+            this.schedule();
+        }
+    }
+    
+    /**
+     * Page went to background
+     */
+    onHidden() {
+        if (this.active) {
+            this.hiddenAt = Date.now();
+        }
+    }
+    
+    /**
+     * Page came back: apply missed deadlines and the resume policy
+     */
+    onVisible() {
+        const hiddenAt = this.hiddenAt;
+        this.hiddenAt = null;
+        
+        if (!this.active || this.check()) {
+            return;
+        }
+        
+        const { requirePasswordOnResume, resumeGracePeriod } = SecurityConfig.session;
+        if (requirePasswordOnResume && hiddenAt && Date.now() - hiddenAt > resumeGracePeriod * 1000) {
+            this.expire('resume');
+            return;
+        }
+        
+        this.touch();
+    }
+    
+    /**
+     * Time at which the session locks
+     */
+    getExpiry() {
+        if (!this.active) {
+            return null;
+        }
+        
+        const deadlines = [this.unlockedAt + SecurityConfig.session.maxSessionDuration * 1000];
+        
+        if (SecurityConfig.session.autoLock && this.lockDelay > 0) {
+            deadlines.push(this.lastActivity + this.lockDelay * 1000);
+        }
+        
+        return Math.min(...deadlines);
+    }
+    
+    /**
+     * Lock if a deadline has passed, returns true when locked
+     */
+    check() {
+        if (!this.active) {
+            return false;
+        }
+        
+        const now = Date.now();
+        
+        if (now >= this.unlockedAt + SecurityConfig.session.maxSessionDuration * 1000) {
+            this.expire('duration');
+            return true;
+        }
+        
+        if (now >= this.getExpiry()) {
+            this.expire('inactivity');
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Arm timer for the nearest deadline
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.check()) {
+                this.schedule();
+            }
+        }, Math.max(this.getExpiry() - Date.now(), 0));
+    }
+    
+    /**
+     * Lock session and notify listeners
+     */
+    expire(reason, broadcast = true) {
+        if (!this.active) {
+            return;
+        }
+        
+        this.reset();
+        
+        if (broadcast) {
+            this.post({ type: 'lock', reason: reason });
+        }
+        
+        this.listeners.forEach(callback => {
+            try {
+                callback(reason);
+            } catch (error) {
+                console.error('Session listener failed:', error);
+            }
+        });
+    }
+    
+    /**
+     * Clear session state
+     */
+    reset() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        
+        this.active = false;
+        this.unlockedAt = null;
+        this.lastActivity = null;
+        this.hiddenAt = null;
+    }
+    
+    /**
+     * Handle message from another tab
+     */
+    onMessage(message) {
+        if (!message || !this.active) {
+            return;
+        }
+        
+        switch (message.type) {
+            case 'lock':
+                this.expire('remote', false);
+                break;
+            case 'activity':
+                if (message.at > this.lastActivity) {
+                    this.lastActivity = message.at;
+                    this.schedule();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Send message to other tabs
+     */
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+    
+    /**
+     * Get session state
+     */
+    getState() {
+        return {
+            active: this.active,
+            unlockedAt: this.unlockedAt,
+            lastActivity: this.lastActivity,
+            hidden: this.hiddenAt !== null,
+            expiresAt: this.getExpiry()
+        };
+    }
+}
+
+// Create singleton instance
+const Session = new SessionManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Session;
+} else {
+    window.Session = Session;
+}
\ No newline at end of file
@@ -6,7 +6,7 @@
 class StorageManager {
     constructor() {
         this.dbName = 'EternaWalletDB';
-        this.dbVersion = 1;
+        this.dbVersion = 3;
         this.db = null;
         this.encryption = Encryption;
     }
@@ -51,26 +51,45 @@ class StorageManager {
                     const store = db.createObjectStore('tokens', { keyPath: 'address' });
                     store.createIndex('chain', 'chain', { unique: false });
                 }
+                
+                if (!db.objectStoreNames.contains('coinControl')) {
+                    db.createObjectStore('coinControl', { keyPath: 'outpoint' });
+                }
+                
+                if (!db.objectStoreNames.contains('prices')) {
+                    db.createObjectStore('prices', { keyPath: 'key' });
+                }
             };
         });
     }
     
     /**
      * Save encrypted wallet data
+     * Secrets are encrypted with a random vault key, which is stored wrapped
+     * by the password (and optionally by a passkey)
      */
     async saveWallet(walletData, password) {
         if (!this.db) await this.init();
         
+        const vaultKey = this.encryption.generateVaultKey();
+        
         try {
             // Encrypt sensitive data
             const encryptedData = {
                 id: walletData.id || this.generateId(),
                 name: walletData.name || 'Eterna Wallet',
-                encryptedMnemonic: await this.encryption.encrypt(
+                encryptedVaultKey: await this.wrapVaultKey(vaultKey, password),
+                encryptedMnemonic: await this.encryption.encryptWithKey(
                     walletData.mnemonic,
-                    password
+                    vaultKey
+                ),
+                // Always stored so records don't reveal whether a passphrase is set
+                encryptedPassphrase: await this.encryption.encryptWithKey(
+                    walletData.passphrase || '',
+                    vaultKey
                 ),
-                addresses: walletData.addresses,
+                accounts: walletData.accounts || [],
+                activeAccount: walletData.activeAccount || 0,
                 createdAt: Date.now(),
                 updatedAt: Date.now(),
                 version: AppConfig.version
@@ -81,17 +100,21 @@ class StorageManager {
             
             // Clear sensitive data from memory
             walletData.mnemonic = null;
+            walletData.passphrase = null;
             
             return encryptedData.id;
             
         } catch (error) {
             console.error('Failed to save wallet:', error);
             throw error;
+            
+        } finally {
+            vaultKey.fill(0);
         }
     }
     
     /**
-     * Load and decrypt wallet
+     * Load and decrypt wallet with password
      */
     async loadWallet(walletId, password) {
         if (!this.db) await this.init();
@@ -104,23 +127,448 @@ class StorageManager {
                 throw new Error('Wallet not found');
             }
             
-            // Decrypt mnemonic
-            const mnemonic = await this.encryption.decrypt(
-                encryptedData.encryptedMnemonic,
-                password
+            // Wallets from before vault keys encrypt secrets with the password
+            if (!encryptedData.encryptedVaultKey) {
+                return await this.decryptWallet(
+                    encryptedData,
+                    ciphertext => this.encryption.decrypt(ciphertext, password)
+                );
+            }
+            
+            const vaultKey = await this.unwrapVaultKey(encryptedData.encryptedVaultKey, password);
+            try {
+                return await this.decryptWallet(
+                    encryptedData,
+                    ciphertext => this.encryption.decryptWithKey(ciphertext, vaultKey)
+                );
+            } finally {
+                vaultKey.fill(0);
+            }
+            
+        } catch (error) {
+            console.error('Failed to load wallet:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Load and decrypt wallet with its vault key (passkey unlock)
+     */
+    async loadWalletWithKey(walletId, vaultKey) {
+        if (!this.db) await this.init();
+        
+        try {
+            const encryptedData = await this.get('wallets', walletId);
+            
+            if (!encryptedData || !encryptedData.encryptedVaultKey) {
+                throw new Error('Wallet not found');
+            }
+            
+            return await this.decryptWallet(
+                encryptedData,
+                ciphertext => this.encryption.decryptWithKey(ciphertext, vaultKey)
             );
             
-            return {
-                id: encryptedData.id,
-                name: encryptedData.name,
-                mnemonic: mnemonic,
-                addresses: encryptedData.addresses || {},
-                createdAt: encryptedData.createdAt,
-                version: encryptedData.version
+        } catch (error) {
+            console.error('Failed to load wallet:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Decrypt secrets of wallet record
+     */
+    async decryptWallet(encryptedData, decrypt) {
+        // Decrypt mnemonic
+        const mnemonic = await decrypt(encryptedData.encryptedMnemonic);
+        
+        // Wallets created before passphrase support have none
+        const passphrase = encryptedData.encryptedPassphrase
+            ? await decrypt(encryptedData.encryptedPassphrase)
+            : '';
+        
+        // Decrypt keys of imported key-based accounts
+        const accounts = this.getWalletAccounts(encryptedData);
+        const importedKeys = {};
+        for (const account of accounts) {
+            if (account.encryptedKey) {
+                importedKeys[account.index] = await decrypt(account.encryptedKey);
+            }
+        }
+        
+        return {
+            id: encryptedData.id,
+            name: encryptedData.name,
+            mnemonic: mnemonic,
+            passphrase: passphrase,
+            importedKeys: importedKeys,
+            accounts: accounts,
+            activeAccount: encryptedData.activeAccount || 0,
+            createdAt: encryptedData.createdAt,
+            version: encryptedData.version
+        };
+    }
+    
+    /**
+     * Encrypt vault key with password
+     */
+    async wrapVaultKey(vaultKey, password) {
+        return this.encryption.encrypt(this.encryption.arrayBufferToBase64(vaultKey), password);
+    }
+    
+    /**
+     * Decrypt vault key with password
+     */
+    async unwrapVaultKey(encryptedVaultKey, password) {
+        const encoded = await this.encryption.decrypt(encryptedVaultKey, password);
+        return new Uint8Array(this.encryption.base64ToArrayBuffer(encoded));
+    }
+    
+    /**
+     * Get vault key of wallet with password (caller zeroes it)
+     */
+    async getVaultKey(walletId, password) {
+        if (!this.db) await this.init();
+        
+        const record = await this.get('wallets', walletId);
+        if (!record) {
+            throw new Error('Wallet not found');
+        }
+        if (!record.encryptedVaultKey) {
+            throw new Error('Wallet encryption has not been upgraded yet');
+        }
+        
+        return this.unwrapVaultKey(record.encryptedVaultKey, password);
+    }
+    
+    /**
+     * Encrypt new wallet secret (imported key) with the vault key
+     */
+    async encryptWalletSecret(walletId, secret, password) {
+        // Older wallets move to a vault key first
+        await this.upgradeWalletEncryption(walletId, password);
+        
+        const vaultKey = await this.getVaultKey(walletId, password);
+        try {
+            return await this.encryption.encryptWithKey(secret, vaultKey);
+        } finally {
+            vaultKey.fill(0);
+        }
+    }
+    
+    /**
+     * Change wallet password by re-wrapping the vault key
+     * Secrets and the passkey stay as they are
+     */
+    async changeWalletPassword(walletId, oldPassword, newPassword) {
+        if (!this.db) await this.init();
+        
+        try {
+            const record = await this.get('wallets', walletId);
+            if (!record) {
+                throw new Error('Wallet not found');
+            }
+            
+            if (!record.encryptedVaultKey) {
+                return await this.migrateToVaultKey(record, oldPassword, newPassword);
+            }
+            
+            // Unwrapping with the old password verifies it
+            const vaultKey = await this.unwrapVaultKey(record.encryptedVaultKey, oldPassword);
+            let encryptedVaultKey;
+            try {
+                encryptedVaultKey = await this.wrapVaultKey(vaultKey, newPassword);
+            } finally {
+                vaultKey.fill(0);
+            }
+            
+            await this.modifyWallet(walletId, (wallet) => {
+                if (wallet.encryptedVaultKey !== record.encryptedVaultKey) {
+                    throw new Error('Wallet changed while re-encrypting, please try again');
+                }
+                return { ...wallet, encryptedVaultKey: encryptedVaultKey };
+            });
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to change wallet password:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Move wallet that encrypts secrets with the password onto a vault key
+     */
+    async migrateToVaultKey(record, oldPassword, newPassword) {
+        const vaultKey = this.encryption.generateVaultKey();
+        
+        try {
+            // Decrypting with the old password verifies it
+            const reencrypt = async (ciphertext) => this.encryption.encryptWithKey(
+                await this.encryption.decrypt(ciphertext, oldPassword),
+                vaultKey
+            );
+            
+            // All crypto happens up front: an IndexedDB transaction commits as
+            // soon as it is left idle, so it cannot span these awaits
+            const secrets = {
+                encryptedVaultKey: await this.wrapVaultKey(vaultKey, newPassword),
+                encryptedMnemonic: await reencrypt(record.encryptedMnemonic),
+                encryptedPassphrase: record.encryptedPassphrase
+                    ? await reencrypt(record.encryptedPassphrase)
+                    : await this.encryption.encryptWithKey('', vaultKey),
+                keys: new Map()
             };
             
+            for (const account of record.accounts || []) {
+                if (account.encryptedKey) {
+                    secrets.keys.set(account.index, {
+                        previous: account.encryptedKey,
+                        next: await reencrypt(account.encryptedKey)
+                    });
+                }
+            }
+            
+            await this.replaceWalletSecrets(record.id, record.encryptedMnemonic, secrets);
+            return true;
+            
+        } finally {
+            vaultKey.fill(0);
+        }
+    }
+    
+    /**
+     * Move wallet onto a vault key, or re-wrap a vault key written with
+     * outdated encryption parameters. Returns true when the wallet was upgraded
+     */
+    async upgradeWalletEncryption(walletId, password) {
+        if (!this.db) await this.init();
+        
+        const record = await this.get('wallets', walletId);
+        if (!record) {
+            throw new Error('Wallet not found');
+        }
+        
+        if (!record.encryptedVaultKey) {
+            await this.migrateToVaultKey(record, password, password);
+            return true;
+        }
+        
+        if (!this.encryption.needsUpgrade(record.encryptedVaultKey)) {
+            return false;
+        }
+        
+        // Same password, current parameters
+        await this.changeWalletPassword(walletId, password, password);
+        return true;
+    }
+    
+    /**
+     * Swap in re-encrypted secrets in a single transaction
+     * Aborts (leaving the old password valid) if secrets changed meanwhile
+     */
+    replaceWalletSecrets(walletId, previousMnemonic, secrets) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('wallets', 'readwrite');
+            const store = transaction.objectStore('wallets');
+            const request = store.get(walletId);
+            
+            request.onsuccess = () => {
+                const wallet = request.result;
+                const accounts = (wallet && wallet.accounts) || [];
+                const keyed = accounts.filter(account => account.encryptedKey);
+                
+                const unchanged = wallet &&
+                    wallet.encryptedMnemonic === previousMnemonic &&
+                    keyed.length === secrets.keys.size &&
+                    keyed.every(account => secrets.keys.has(account.index) &&
+                        secrets.keys.get(account.index).previous === account.encryptedKey);
+                
+                if (!unchanged) {
+                    transaction.abort();
+                    return;
+                }
+                
+                store.put({
+                    ...wallet,
+                    encryptedVaultKey: secrets.encryptedVaultKey,
+                    encryptedMnemonic: secrets.encryptedMnemonic,
+                    encryptedPassphrase: secrets.encryptedPassphrase,
+                    accounts: accounts.map(account => account.encryptedKey
+                        ? { ...account, encryptedKey: secrets.keys.get(account.index).next }
+                        : account),
+                    updatedAt: Date.now()
+                });
+            };
+            
+            transaction.oncomplete = () => resolve(true);
+            transaction.onabort = () => reject(
+                transaction.error || new Error('Wallet changed while re-encrypting, please try again')
+            );
+        });
+    }
+    
+    /**
+     * Get derived accounts, upgrading single-account wallet records
+     */
+    getWalletAccounts(walletRecord) {
+        if (walletRecord.accounts && walletRecord.accounts.length > 0) {
+            return walletRecord.accounts;
+        }
+        
+        return [{
+            index: 0,
+            name: 'Account 1',
+            addresses: walletRecord.addresses || {},
+            discovery: walletRecord.discovery || {},
+            createdAt: walletRecord.createdAt
+        }];
+    }
+    
+    /**
+     * Update non-sensitive wallet fields
+     * Secrets always come from the stored record, never from updates: copies
+     * held in memory may predate a password change
+     */
+    async updateWallet(walletId, updates) {
+        if (!this.db) await this.init();
+        
+        try {
+            return await this.modifyWallet(walletId, (wallet) => {
+                const merged = {
+                    ...wallet,
+                    ...updates,
+                    encryptedVaultKey: wallet.encryptedVaultKey,
+                    encryptedMnemonic: wallet.encryptedMnemonic,
+                    encryptedPassphrase: wallet.encryptedPassphrase,
+                    passkey: wallet.passkey || null
+                };
+                
+                if (updates.accounts) {
+                    const stored = new Map(this.getWalletAccounts(wallet).map(account => [account.index, account]));
+                    merged.accounts = updates.accounts.map(account => {
+                        const { encryptedKey, ...fields } = account;
+                        const previous = stored.get(account.index);
+                        return previous && previous.encryptedKey
+                            ? { ...fields, encryptedKey: previous.encryptedKey }
+                            : fields;
+                    });
+                }
+                
+                return merged;
+            });
+            
         } catch (error) {
-            console.error('Failed to load wallet:', error);
+            console.error('Failed to update wallet:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Append account (with its encrypted key, if any) to wallet
+     */
+    async addWalletAccount(walletId, account) {
+        if (!this.db) await this.init();
+        
+        try {
+            return await this.modifyWallet(walletId, (wallet) => {
+                const accounts = this.getWalletAccounts(wallet);
+                if (accounts.some(existing => existing.index === account.index)) {
+                    throw new Error(`Account already exists: ${account.index}`);
+                }
+                
+                return { ...wallet, accounts: [...accounts, account] };
+            });
+            
+        } catch (error) {
+            console.error('Failed to add wallet account:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get stored accounts of wallet
+     */
+    async loadWalletAccounts(walletId) {
+        if (!this.db) await this.init();
+        
+        const wallet = await this.get('wallets', walletId);
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        
+        return this.getWalletAccounts(wallet);
+    }
+    
+    /**
+     * Read, modify and write wallet record in a single transaction
+     */
+    modifyWallet(walletId, modify) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction('wallets', 'readwrite');
+            const store = transaction.objectStore('wallets');
+            const request = store.get(walletId);
+            let failure = null;
+            
+            request.onsuccess = () => {
+                try {
+                    if (!request.result) {
+                        throw new Error('Wallet not found');
+                    }
+                    
+                    store.put({
+                        ...modify(request.result),
+                        id: request.result.id,
+                        updatedAt: Date.now()
+                    });
+                } catch (error) {
+                    failure = error;
+                    transaction.abort();
+                }
+            };
+            
+            transaction.oncomplete = () => resolve(true);
+            transaction.onabort = () => reject(failure || transaction.error);
+        });
+    }
+    
+    /**
+     * Get passkey unlock data of wallet (credential id, PRF salt, wrapped vault key)
+     */
+    async getWalletPasskey(walletId) {
+        if (!this.db) await this.init();
+        
+        const wallet = await this.get('wallets', walletId);
+        return wallet ? wallet.passkey || null : null;
+    }
+    
+    /**
+     * Store passkey unlock data of wallet, null removes it
+     */
+    async setWalletPasskey(walletId, passkey) {
+        if (!this.db) await this.init();
+        
+        return this.modifyWallet(walletId, wallet => ({ ...wallet, passkey: passkey }));
+    }
+    
+    /**
+     * Delete wallet and its unlock tracking, other wallets stay
+     */
+    async deleteWallet(walletId) {
+        if (!this.db) await this.init();
+        
+        try {
+            await this.delete('wallets', walletId);
+            await this.delete('settings', `unlockAttempts:${walletId}`);
+            
+            if (await this.loadSetting('activeWalletId') === walletId) {
+                await this.saveSetting('activeWalletId', null);
+            }
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to delete wallet:', error);
             throw error;
         }
     }
@@ -142,24 +590,24 @@ class StorageManager {
     
     /**
      * Get wallet info (without sensitive data)
+     * Defaults to the last unlocked wallet, then the oldest one
      */
-    async getWalletInfo() {
+    async getWalletInfo(walletId = null) {
         if (!this.db) await this.init();
         
         try {
-            const wallets = await this.getAll('wallets');
+            if (walletId) {
+                const wallet = await this.get('wallets', walletId);
+                return wallet ? this.toWalletInfo(wallet) : null;
+            }
+            
+            const wallets = await this.listWallets();
             if (wallets.length === 0) {
                 return null;
             }
             
-            const wallet = wallets[0];
-            return {
-                id: wallet.id,
-                name: wallet.name,
-                createdAt: wallet.createdAt,
-                updatedAt: wallet.updatedAt,
-                version: wallet.version
-            };
+            const activeWalletId = await this.loadSetting('activeWalletId');
+            return wallets.find(wallet => wallet.id === activeWalletId) || wallets[0];
             
         } catch (error) {
             console.error('Failed to get wallet info:', error);
@@ -167,6 +615,38 @@ class StorageManager {
         }
     }
     
+    /**
+     * List all stored wallets (without sensitive data), oldest first
+     */
+    async listWallets() {
+        if (!this.db) await this.init();
+        
+        try {
+            const wallets = await this.getAll('wallets');
+            return wallets
+                .map(wallet => this.toWalletInfo(wallet))
+                .sort((a, b) => a.createdAt - b.createdAt);
+            
+        } catch (error) {
+            console.error('Failed to list wallets:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Public fields of wallet record
+     */
+    toWalletInfo(wallet) {
+        return {
+            id: wallet.id,
+            name: wallet.name,
+            createdAt: wallet.createdAt,
+            updatedAt: wallet.updatedAt,
+            version: wallet.version,
+            hasPasskey: !!wallet.passkey
+        };
+    }
+    
     /**
      * Save setting
      */
@@ -196,6 +676,35 @@ class StorageManager {
         }
     }
     
+    /**
+     * Get failed unlock tracking state of wallet
+     */
+    async getUnlockAttempts(walletId) {
+        return this.loadSetting(`unlockAttempts:${walletId}`, {
+            failures: 0,
+            lastFailureAt: null,
+            blockedUntil: null
+        });
+    }
+    
+    /**
+     * Persist failed unlock tracking state of wallet (survives reloads)
+     */
+    async saveUnlockAttempts(walletId, attempts) {
+        await this.saveSetting(`unlockAttempts:${walletId}`, attempts);
+    }
+    
+    /**
+     * Clear failed unlock tracking after a successful unlock
+     */
+    async resetUnlockAttempts(walletId) {
+        await this.saveUnlockAttempts(walletId, {
+            failures: 0,
+            lastFailureAt: null,
+            blockedUntil: null
+        });
+    }
+    
     /**
      * Save transaction
      */
@@ -216,7 +725,13 @@ class StorageManager {
                 status: txData.status || 'pending',
                 hash: txData.hash,
                 blockNumber: txData.blockNumber,
-                confirmed: txData.confirmed || false
+                confirmations: txData.confirmations || 0,
+                confirmed: txData.confirmed || false,
+                nonce: txData.nonce !== undefined ? txData.nonce : null,
+                replaces: txData.replaces || null,
+                replacedBy: txData.replacedBy || null,
+                parent: txData.parent || null,
+                child: txData.child || null
             };
             
             await this.put('transactions', tx);
@@ -229,9 +744,60 @@ class StorageManager {
     }
     
     /**
-     * Get transactions for chain
+     * Get transaction by id (hash)
+     */
+    async getTransaction(id) {
+        if (!this.db) await this.init();
+        
+        try {
+            return await this.get('transactions', id);
+        } catch (error) {
+            console.error('Failed to get transaction:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Update stored transaction fields
+     */
+    async updateTransaction(id, updates) {
+        if (!this.db) await this.init();
+        
+        try {
+            const tx = await this.get('transactions', id);
+            if (!tx) {
+                return false;
+            }
+            
+            await this.put('transactions', { ...tx, ...updates, id: tx.id });
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to update transaction:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get transactions in any of statuses (all chains)
+     */
+    async getTransactionsByStatus(statuses) {
+        if (!this.db) await this.init();
+        
+        try {
+            const transactions = await this.getAll('transactions');
+            return transactions.filter(tx => statuses.includes(tx.status));
+            
+        } catch (error) {
+            console.error('Failed to get transactions:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get transactions for chain, optionally only those touching addresses
      */
-    async getTransactions(chain, limit = 50) {
+    async getTransactions(chain, limit = 50, addresses = null) {
         if (!this.db) await this.init();
         
         try {
@@ -250,7 +816,7 @@ class StorageManager {
                     
                     if (cursor && count < limit) {
                         const tx = cursor.value;
-                        if (!chain || tx.chain === chain) {
+                        if ((!chain || tx.chain === chain) && this.involvesAddress(tx, addresses)) {
                             transactions.push(tx);
                             count++;
                         }
@@ -271,6 +837,79 @@ class StorageManager {
         }
     }
     
+    /**
+     * Check whether transaction touches any of the addresses (all when null)
+     */
+    involvesAddress(tx, addresses) {
+        if (!addresses) {
+            return true;
+        }
+        
+        const own = new Set(addresses.map(address => address.toLowerCase()));
+        return [tx.from, tx.to].some(address => address && own.has(address.toLowerCase()));
+    }
+    
+    /**
+     * Save transactions not stored yet (de-duplicated by hash), returns number added
+     */
+    async mergeTransactions(transactions) {
+        if (!this.db) await this.init();
+        
+        try {
+            const seen = new Set();
+            let added = 0;
+            
+            for (const tx of transactions) {
+                if (!tx.hash || seen.has(tx.hash)) {
+                    continue;
+                }
+                seen.add(tx.hash);
+                
+                // Keep stored records, their status is tracked separately
+                if (await this.get('transactions', tx.hash)) {
+                    continue;
+                }
+                
+                await this.saveTransaction(tx);
+                added++;
+            }
+            
+            return added;
+            
+        } catch (error) {
+            console.error('Failed to merge transactions:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get history sync cursor of address (null before the first sync)
+     */
+    async getHistoryCursor(chain, address) {
+        return this.loadSetting(`historyCursor:${chain}:${address}`, null);
+    }
+    
+    /**
+     * Persist history sync cursor of address
+     */
+    async saveHistoryCursor(chain, address, cursor) {
+        await this.saveSetting(`historyCursor:${chain}:${address}`, cursor);
+    }
+    
+    /**
+     * Forget all history sync cursors so the next sync starts over
+     */
+    async clearHistoryCursors() {
+        if (!this.db) await this.init();
+        
+        const settings = await this.getAll('settings');
+        for (const setting of settings) {
+            if (setting.key.startsWith('historyCursor:')) {
+                await this.delete('settings', setting.key);
+            }
+        }
+    }
+    
     /**
      * Save custom token
      */
@@ -279,12 +918,14 @@ class StorageManager {
         
         try {
             const token = {
-                address: tokenData.address.toLowerCase(),
+                address: this.normalizeTokenAddress(tokenData.address),
                 chain: tokenData.chain,
                 symbol: tokenData.symbol,
                 name: tokenData.name,
                 decimals: tokenData.decimals,
                 logoURI: tokenData.logoURI,
+                // Unlisted entries only cache resolved metadata
+                listed: tokenData.listed !== false,
                 addedAt: Date.now()
             };
             
@@ -341,13 +982,102 @@ class StorageManager {
         if (!this.db) await this.init();
         
         try {
-            await this.delete('tokens', address.toLowerCase());
+            await this.delete('tokens', this.normalizeTokenAddress(address));
         } catch (error) {
             console.error('Failed to remove token:', error);
             throw error;
         }
     }
     
+    /**
+     * Normalize token address used as key (TRON base58 is case-sensitive)
+     */
+    normalizeTokenAddress(address) {
+        return address.startsWith('0x') ? address.toLowerCase() : address;
+    }
+    
+    /**
+     * Save coin control entry (UTXO label / freeze state)
+     */
+    async saveCoinControl(entry) {
+        if (!this.db) await this.init();
+        
+        try {
+            await this.put('coinControl', {
+                outpoint: entry.outpoint,
+                label: entry.label || null,
+                frozen: entry.frozen || false,
+                updatedAt: Date.now()
+            });
+        } catch (error) {
+            console.error('Failed to save coin control entry:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get all coin control entries
+     */
+    async getCoinControl() {
+        if (!this.db) await this.init();
+        
+        try {
+            return await this.getAll('coinControl');
+        } catch (error) {
+            console.error('Failed to get coin control entries:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Remove coin control entry
+     */
+    async removeCoinControl(outpoint) {
+        if (!this.db) await this.init();
+        
+        try {
+            await this.delete('coinControl', outpoint);
+        } catch (error) {
+            console.error('Failed to remove coin control entry:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Save last-known prices
+     */
+    async savePrices(entries) {
+        if (!this.db) await this.init();
+        
+        try {
+            for (const entry of entries) {
+                await this.put('prices', {
+                    key: entry.key,
+                    price: entry.price,
+                    currency: entry.currency,
+                    timestamp: entry.timestamp || Date.now()
+                });
+            }
+        } catch (error) {
+            console.error('Failed to save prices:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get cached price entry
+     */
+    async getPrice(key) {
+        if (!this.db) await this.init();
+        
+        try {
+            return await this.get('prices', key);
+        } catch (error) {
+            console.error('Failed to get price:', error);
+            return null;
+        }
+    }
+    
     /**
      * Clear all wallet data (logout)
      */
@@ -358,8 +1088,12 @@ class StorageManager {
             await this.clear('wallets');
             await this.clear('transactions');
             await this.clear('tokens');
+            await this.clear('coinControl');
+            await this.clear('prices');
             
-            // Keep settings (like theme, RPC endpoints)
+            // Keep settings (like theme, RPC endpoints), but not sync
+            // progress of the cleared history
+            await this.clearHistoryCursors();
             
             return true;
             
@@ -380,6 +1114,7 @@ class StorageManager {
             const settings = await this.getAll('settings');
             const transactions = await this.getAll('transactions');
             const tokens = await this.getAll('tokens');
+            const coinControl = await this.getAll('coinControl');
             
             const backup = {
                 version: AppConfig.version,
@@ -387,7 +1122,8 @@ class StorageManager {
                 wallets: wallets,
                 settings: settings,
                 transactions: transactions,
-                tokens: tokens
+                tokens: tokens,
+                coinControl: coinControl
             };
             
             // Encrypt the entire backup
@@ -454,6 +1190,12 @@ class StorageManager {
                 }
             }
             
+            if (backup.coinControl) {
+                for (const entry of backup.coinControl) {
+                    await this.put('coinControl', entry);
+                }
+            }
+            
             return true;
             
         } catch (error) {
@@ -0,0 +1,202 @@
+/**
+ * Transaction Tracker
+ * Polls pending transactions until they confirm, fail, get replaced or drop
+ */
+
+class TransactionTracker {
+    constructor() {
+        this.pollTimer = null;
+        this.polling = null;
+    }
+    
+    /**
+     * Start periodic status polling
+     */
+    async start() {
+        this.stop();
+        
+        this.pollTimer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error('Failed to poll transactions:', error);
+            });
+        }, AppConfig.wallet.transactionPollInterval);
+        
+        return this.poll();
+    }
+    
+    /**
+     * Stop periodic status polling
+     */
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+    
+    /**
+     * Check every tracked transaction once
+     */
+    async poll() {
+        if (Wallet.isLocked) {
+            this.stop();
+            return [];
+        }
+        
+        // Share one in-flight poll between callers
+        if (!this.polling) {
+            this.polling = this.update().finally(() => {
+                this.polling = null;
+            });
+        }
+        
+        return this.polling;
+    }
+    
+    /**
+     * Update stored status of tracked transactions
+     */
+    async update() {
+        const transactions = await Storage.getTransactionsByStatus(['pending', 'confirmed']);
+        const tracked = transactions.filter(tx => this.isTracked(tx));
+        
+        const results = await Promise.all(tracked.map(async (tx) => {
+            try {
+                return await this.check(tx);
+            } catch (error) {
+                // Try again on the next poll
+                console.warn(`Failed to check transaction ${tx.hash}:`, error);
+                return null;
+            }
+        }));
+        
+        return results.filter(Boolean);
+    }
+    
+    /**
+     * Pending transactions, and confirmed ones short of final confirmations
+     */
+    isTracked(tx) {
+        if (!tx.hash) {
+            return false;
+        }
+        
+        if (tx.status === 'pending') {
+            return true;
+        }
+        
+        return tx.status === 'confirmed' &&
+            (tx.confirmations || 0) < this.getRequiredConfirmations(tx.chain);
+    }
+    
+    /**
+     * Confirmations after which a transaction is final
+     */
+    getRequiredConfirmations(chain) {
+        return AppConfig.wallet.requiredConfirmations[chain] || 1;
+    }
+    
+    /**
+     * Query chain for transaction status and store changes
+     */
+    async check(tx) {
+        const chainManager = Wallet.chains.get(tx.chain);
+        if (!chainManager || !chainManager.getTransactionStatus) {
+            return null;
+        }
+        
+        const result = await chainManager.getTransactionStatus(tx, Wallet.providers.get(tx.chain));
+        
+        if (result.status === 'pending') {
+            // Reorg removed the block it was in
+            if (tx.status === 'confirmed') {
+                return this.save(tx, {
+                    status: 'pending',
+                    blockNumber: null,
+                    confirmations: 0,
+                    confirmed: false
+                });
+            }
+            
+            // Nodes forget transactions that never made it into a block
+            if (!result.found && Date.now() - tx.timestamp > AppConfig.wallet.transactionDropTimeout) {
+                return this.save(tx, { status: 'dropped' });
+            }
+            
+            return null;
+        }
+        
+        if (result.status === 'replaced') {
+            return this.save(tx, { status: 'replaced' });
+        }
+        
+        const updates = {
+            status: result.status,
+            blockNumber: result.blockNumber,
+            confirmations: result.confirmations,
+            confirmed: result.status === 'confirmed'
+        };
+        
+        // Actual fee replaces the estimate stored at send time
+        if (result.fee !== null && result.fee !== undefined) {
+            updates.fee = result.fee;
+        }
+        
+        return this.save(tx, updates);
+    }
+    
+    /**
+     * Store update and announce transactions that just settled
+     */
+    async save(tx, updates) {
+        await Storage.updateTransaction(tx.id, updates);
+        const updated = { ...tx, ...updates };
+        
+        if (tx.status === 'pending' && updated.status !== 'pending') {
+            this.notify(updated);
+        }
+        
+        return updated;
+    }
+    
+    /**
+     * Emit settle event and notification
+     */
+    notify(tx) {
+        const label = `${Formatter.formatChainSymbol(tx.chain)} transaction`;
+        
+        if (tx.status === 'confirmed') {
+            Wallet.events.emit(WalletEvents.TRANSACTION_CONFIRMED, {
+                chain: tx.chain,
+                hash: tx.hash,
+                blockNumber: tx.blockNumber,
+                confirmations: tx.confirmations
+            });
+            Wallet.showNotification(`${label} confirmed`, 'success');
+            return;
+        }
+        
+        const messages = {
+            failed: `${label} failed`,
+            replaced: `${label} was replaced`,
+            dropped: `${label} was dropped by the network`
+        };
+        
+        Wallet.events.emit(WalletEvents.TRANSACTION_FAILED, {
+            chain: tx.chain,
+            hash: tx.hash,
+            error: tx.status
+        });
+        Wallet.showNotification(messages[tx.status], 'error');
+    }
+}
+
+// Create singleton instance
+const TxTracker = new TransactionTracker();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TxTracker;
+} else {
+    window.TxTracker = TxTracker;
+}
\ No newline at end of file
@@ -7,13 +7,23 @@ class WalletManager {
     constructor() {
         this.wallet = null;
         this.mnemonic = null;
+        this.passphrase = '';
+        this.importedKeys = new Map(); // account index -> private key of imported accounts
         this.privateKeys = new Map();
         this.chains = new Map();
         this.providers = new Map();
         this.isLocked = true;
+        this.kdfReady = null;
+        this.unlockAttempt = Promise.resolve(); // serializes failed-attempt bookkeeping
+        this.activeChain = 'ethereum';
+        this.balances = new Map(); // chain:token:address -> last reported balance
+        this.events = new EventEmitter(Object.values(WalletEvents));
         
         // Initialize chain managers
         this.initChains();
+        
+        // Lock when the session runs out (or another tab locks)
+        Session.onLock(reason => this.onSessionExpired(reason));
     }
     
     /**
@@ -23,8 +33,8 @@ class WalletManager {
         // Load chain modules
         if (typeof Ethereum !== 'undefined') {
             this.chains.set('ethereum', Ethereum);
-            this.chains.set('bsc', Ethereum); // BSC uses same interface
-            this.chains.set('polygon', Ethereum); // Polygon uses same interface
+            this.chains.set('bsc', BSC); // BSC uses same interface
+            this.chains.set('polygon', Polygon); // Polygon uses same interface
         }
         
         if (typeof Tron !== 'undefined') {
@@ -37,32 +47,30 @@ class WalletManager {
     }
     
     /**
-     * Create new wallet
+     * Create new wallet (added alongside existing wallets)
+     * An optional BIP-39 passphrase derives a separate, hidden set of accounts
      */
-    async createWallet(password) {
+    async createWallet(password, name = null, passphrase = '') {
         try {
+            await this.prepareKeyDerivation();
+            
             // Generate mnemonic
             this.mnemonic = Mnemonic.generateMnemonic(12);
+            this.passphrase = passphrase || '';
             
             // Generate addresses for all chains
-            const addresses = {};
-            const seed = await Mnemonic.mnemonicToSeed(this.mnemonic);
-            
-            for (const [chainName, chainManager] of this.chains) {
-                try {
-                    const address = await chainManager.getAddressFromSeed(seed);
-                    addresses[chainName] = address;
-                } catch (error) {
-                    console.warn(`Failed to generate address for ${chainName}:`, error);
-                }
-            }
+            const seed = await Mnemonic.mnemonicToSeed(this.mnemonic, this.passphrase);
+            const account = await this.deriveAccount(seed, 0);
+            SecurityConfig.zeroBuffer(seed);
             
             // Create wallet data
             this.wallet = {
                 id: Storage.generateId(),
-                name: 'Eterna Wallet',
+                name: name || await this.getDefaultWalletName(),
                 mnemonic: this.mnemonic,
-                addresses: addresses,
+                passphrase: this.passphrase,
+                accounts: [account],
+                activeAccount: 0,
                 createdAt: Date.now()
             };
             
@@ -72,8 +80,8 @@ class WalletManager {
             // Clear mnemonic from memory (it's now in encrypted storage)
             this.clearSensitiveData();
             
-            // Unlock wallet
-            await this.unlock(password);
+            // Open the new wallet, there is no password to guess here
+            await this.openWallet(this.wallet.id, id => Storage.loadWallet(id, password), password);
             
             return this.wallet;
             
@@ -85,131 +93,918 @@ class WalletManager {
     }
     
     /**
-     * Import wallet from mnemonic
+     * Import wallet from mnemonic (added alongside existing wallets)
+     */
+    async importWallet(mnemonic, password, name = null, passphrase = '') {
+        try {
+            await this.prepareKeyDerivation();
+            
+            // Validate mnemonic
+            const validation = Mnemonic.validateMnemonic(mnemonic);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+            
+            this.mnemonic = mnemonic;
+            this.passphrase = passphrase || '';
+            
+            // Generate addresses
+            const seed = await Mnemonic.mnemonicToSeed(this.mnemonic, this.passphrase);
+            const account = await this.deriveAccount(seed, 0);
+            SecurityConfig.zeroBuffer(seed);
+            
+            // Create wallet data
+            this.wallet = {
+                id: Storage.generateId(),
+                name: name || await this.getDefaultWalletName(),
+                mnemonic: this.mnemonic,
+                passphrase: this.passphrase,
+                accounts: [account],
+                activeAccount: 0,
+                createdAt: Date.now()
+            };
+            
+            // Save encrypted wallet
+            await Storage.saveWallet(this.wallet, password);
+            
+            // Clear mnemonic from memory
+            this.clearSensitiveData();
+            
+            // Open the new wallet, there is no password to guess here
+            await this.openWallet(this.wallet.id, id => Storage.loadWallet(id, password), password);
+            
+            return this.wallet;
+            
+        } catch (error) {
+            console.error('Failed to import wallet:', error);
+            this.clearSensitiveData();
+            throw error;
+        }
+    }
+    
+    /**
+     * Unlock wallet with password (last unlocked wallet by default)
+     */
+    async unlock(password, walletId = null) {
+        return this.openWallet(
+            walletId,
+            id => this.attemptUnlock(id, () => Storage.loadWallet(id, password)),
+            password
+        );
+    }
+    
+    /**
+     * Decrypt wallet with load and start the session
+     */
+    async openWallet(walletId, load, password = null) {
+        try {
+            // Load and decrypt wallet
+            const walletInfo = await Storage.getWalletInfo(walletId);
+            if (!walletInfo) {
+                throw new Error('No wallet found');
+            }
+            
+            this.wallet = await load(walletInfo.id);
+            await Storage.saveSetting('activeWalletId', walletInfo.id);
+            
+            // Move to a vault key or current encryption parameters (needs the password)
+            if (password) {
+                this.prepareKeyDerivation()
+                    .then(() => Storage.upgradeWalletEncryption(walletInfo.id, password))
+                    .catch(error => {
+                        console.warn('Failed to upgrade wallet encryption:', error);
+                    });
+            }
+            this.mnemonic = this.wallet.mnemonic;
+            this.passphrase = this.wallet.passphrase || '';
+            this.importedKeys = new Map(
+                Object.entries(this.wallet.importedKeys || {}).map(([index, key]) => [Number(index), key])
+            );
+            delete this.wallet.importedKeys;
+            this.applyAccount(this.wallet.activeAccount);
+            
+            // Initialize providers
+            await this.initProviders();
+            
+            this.isLocked = false;
+            
+            // Scan for used addresses on first unlock (new or imported wallet)
+            await this.ensureDiscoveryState();
+            this.discoverAccounts(false).catch(error => {
+                console.warn('Account discovery failed:', error);
+            });
+            
+            // Start session limits (inactivity, max duration, resume)
+            await Session.start();
+            
+            this.events.emit(WalletEvents.UNLOCKED, {
+                walletId: this.wallet.id,
+                accountIndex: this.wallet.activeAccount
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to unlock wallet:', error);
+            this.lock();
+            throw error;
+        }
+    }
+    
+    /**
+     * Load wallet as an unlock attempt, subject to its backoff
+     */
+    async attemptUnlock(walletId, load) {
+        const attempt = await this.beginUnlockAttempt(walletId);
+        
+        let wallet;
+        try {
+            wallet = await load();
+        } catch (error) {
+            throw await this.failUnlockAttempt(walletId, attempt);
+        }
+        
+        await Storage.resetUnlockAttempts(walletId);
+        return wallet;
+    }
+    
+    /**
+     * Refuse unlock while backing off, otherwise count the attempt as failed
+     * up front so reloading mid-attempt or racing attempts does not evade it
+     */
+    beginUnlockAttempt(walletId) {
+        const attempt = this.unlockAttempt.then(() => this.reserveUnlockAttempt(walletId));
+        this.unlockAttempt = attempt.catch(() => {});
+        return attempt;
+    }
+    
+    /**
+     * Check backoff of wallet and record the attempt
+     */
+    async reserveUnlockAttempt(walletId) {
+        const attempts = await Storage.getUnlockAttempts(walletId);
+        const wait = attempts.blockedUntil ? attempts.blockedUntil - Date.now() : 0;
+        
+        if (wait > 0) {
+            throw new Error(`Too many failed attempts, try again in ${this.formatWait(wait)}`);
+        }
+        
+        const failures = attempts.failures + 1;
+        const { maxFailedAttempts, failedAttemptDelay, maxFailedAttemptDelay, lockoutDuration } = AppConfig.security;
+        
+        // Exponential backoff, then a hard lockout at maxFailedAttempts
+        const delay = failures >= maxFailedAttempts
+            ? lockoutDuration
+            : Math.min(failedAttemptDelay * Math.pow(2, failures - 1), maxFailedAttemptDelay);
+        
+        const attempt = {
+            failures: failures,
+            lastFailureAt: Date.now(),
+            blockedUntil: Date.now() + delay * 1000
+        };
+        await Storage.saveUnlockAttempts(walletId, attempt);
+        
+        return attempt;
+    }
+    
+    /**
+     * Handle wrong password: erase the wallet if configured, else report what is left
+     */
+    async failUnlockAttempt(walletId, attempt) {
+        const wipeAfter = await Storage.loadSetting('wipeAfterFailures', 0);
+        
+        if (wipeAfter && attempt.failures >= wipeAfter) {
+            await Storage.deleteWallet(walletId);
+            return new Error('Too many failed attempts, wallet erased');
+        }
+        
+        const remaining = AppConfig.security.maxFailedAttempts - attempt.failures;
+        if (remaining <= 0) {
+            return new Error(`Invalid password, wallet locked for ${this.formatWait(attempt.blockedUntil - Date.now())}`);
+        }
+        
+        return new Error(`Invalid password, ${remaining} ${remaining === 1 ? 'attempt' : 'attempts'} left`);
+    }
+    
+    /**
+     * Format remaining wait time
+     */
+    formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)}m`;
+    }
+    
+    /**
+     * Unlock wallet with its passkey instead of the password
+     */
+    async unlockWithPasskey(walletId = null) {
+        const walletInfo = await Storage.getWalletInfo(walletId);
+        if (!walletInfo || !walletInfo.hasPasskey) {
+            throw new Error('Passkey unlock is not enabled for this wallet');
+        }
+        
+        const passkey = await Storage.getWalletPasskey(walletInfo.id);
+        const vaultKey = await Passkey.unwrap(passkey);
+        
+        try {
+            return await this.openWallet(
+                walletInfo.id,
+                id => this.attemptUnlock(id, () => Storage.loadWalletWithKey(id, vaultKey))
+            );
+        } finally {
+            vaultKey.fill(0);
+        }
+    }
+    
+    /**
+     * Enable passkey unlock for the current wallet (password stays valid)
+     */
+    async enablePasskey(password) {
+        if (this.isLocked || !this.wallet) {
+            throw new Error('Wallet is locked');
+        }
+        
+        // Passkey wraps the vault key, which older wallets do not have yet
+        await this.prepareKeyDerivation();
+        await Storage.upgradeWalletEncryption(this.wallet.id, password);
+        
+        const vaultKey = await Storage.getVaultKey(this.wallet.id, password);
+        try {
+            const passkey = await Passkey.enable(this.wallet, vaultKey);
+            await Storage.setWalletPasskey(this.wallet.id, passkey);
+        } finally {
+            vaultKey.fill(0);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Disable passkey unlock, removing the wrapped vault key
+     */
+    async disablePasskey() {
+        if (this.isLocked || !this.wallet) {
+            throw new Error('Wallet is locked');
+        }
+        
+        await Storage.setWalletPasskey(this.wallet.id, null);
+        return true;
+    }
+    
+    /**
+     * Check whether current wallet has passkey unlock enabled
+     */
+    async hasPasskey() {
+        if (!this.wallet) {
+            return false;
+        }
+        
+        const walletInfo = await Storage.getWalletInfo(this.wallet.id);
+        return !!(walletInfo && walletInfo.hasPasskey);
+    }
+    
+    /**
+     * Change wallet password by re-wrapping the vault key
+     */
+    async changePassword(oldPassword, newPassword) {
+        if (this.isLocked || !this.wallet) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const validation = SecurityConfig.validatePassword(newPassword);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+        
+        if (oldPassword === newPassword) {
+            throw new Error('New password must be different');
+        }
+        
+        await this.prepareKeyDerivation();
+        await Storage.changeWalletPassword(this.wallet.id, oldPassword, newPassword);
+        
+        // Moving an older wallet onto a vault key re-encrypts imported keys,
+        // drop the old ciphertexts held in memory
+        const stored = await Storage.loadWalletAccounts(this.wallet.id);
+        this.wallet.accounts.forEach(account => {
+            const match = stored.find(a => a.index === account.index);
+            if (match && match.encryptedKey) {
+                account.encryptedKey = match.encryptedKey;
+            }
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Apply this device's scrypt cost, calibrating it once (about a second)
+     */
+    prepareKeyDerivation() {
+        if (!this.kdfReady) {
+            this.kdfReady = this.loadKeyDerivationParams().catch(error => {
+                this.kdfReady = null;
+                throw error;
+            });
+        }
+        return this.kdfReady;
+    }
+    
+    /**
+     * Load calibrated scrypt parameters, or calibrate and store them
+     */
+    async loadKeyDerivationParams() {
+        if (Encryption.kdf !== 'scrypt') {
+            return;
+        }
+        
+        let params = await Storage.loadSetting('scryptParams');
+        if (!params) {
+            params = await KDF.calibrate();
+            await Storage.saveSetting('scryptParams', params);
+        }
+        
+        Encryption.setScryptParams(params);
+    }
+    
+    /**
+     * List stored wallets (without sensitive data)
+     */
+    async listWallets() {
+        return Storage.listWallets();
+    }
+    
+    /**
+     * Default name for a new wallet
+     */
+    async getDefaultWalletName() {
+        const wallets = await Storage.listWallets();
+        return wallets.length === 0 ? 'Eterna Wallet' : `Eterna Wallet ${wallets.length + 1}`;
+    }
+    
+    /**
+     * Lock wallet
+     */
+    lock(reason = 'manual') {
+        const wasUnlocked = !this.isLocked;
+        
+        this.clearSensitiveData();
+        this.providers.clear();
+        this.balances.clear();
+        this.isLocked = true;
+        
+        // Stop session timers and lock other tabs
+        Session.end();
+        
+        if (wasUnlocked) {
+            this.events.emit(WalletEvents.LOCKED, { reason: reason });
+        }
+    }
+    
+    /**
+     * Subscribe to wallet event (see WalletEvents), returns unsubscribe function
+     */
+    on(event, callback) {
+        return this.events.on(event, callback);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of wallet event
+     */
+    once(event, callback) {
+        return this.events.once(event, callback);
+    }
+    
+    /**
+     * Unsubscribe from wallet event
+     */
+    off(event, callback) {
+        this.events.off(event, callback);
+    }
+    
+    /**
+     * Switch chain shown to the user
+     */
+    switchChain(chain) {
+        if (!this.chains.has(chain)) {
+            throw new Error(`Unsupported chain: ${chain}`);
+        }
+        
+        const previous = this.activeChain;
+        this.activeChain = chain;
+        
+        if (previous !== chain) {
+            this.events.emit(WalletEvents.CHAIN_SWITCHED, { chain: chain, previous: previous });
+        }
+        
+        return chain;
+    }
+    
+    /**
+     * Remember balance and announce it when it changed
+     */
+    reportBalance(chain, token, address, balance) {
+        const key = `${chain}:${token}:${[].concat(address).join(',')}`;
+        const previous = this.balances.has(key) ? this.balances.get(key) : null;
+        this.balances.set(key, balance);
+        
+        if (previous !== balance) {
+            this.events.emit(WalletEvents.BALANCE_UPDATED, {
+                chain: chain,
+                token: token,
+                address: address,
+                balance: balance,
+                previous: previous
+            });
+        }
+        
+        return balance;
+    }
+    
+    /**
+     * Lock after session expiry
+     */
+    onSessionExpired(reason) {
+        if (this.isLocked) {
+            return;
+        }
+        
+        this.lock(reason);
+        
+        const messages = {
+            inactivity: 'Wallet auto-locked due to inactivity',
+            duration: 'Wallet locked, maximum session length reached',
+            resume: 'Wallet locked while in background',
+            remote: 'Wallet locked in another tab'
+        };
+        this.showNotification(messages[reason] || 'Wallet locked');
+    }
+    
+    /**
+     * Initialize blockchain providers
+     */
+    async initProviders() {
+        for (const [chainName, chainManager] of this.chains) {
+            try {
+                const provider = await chainManager.getProvider();
+                this.providers.set(chainName, provider);
+            } catch (error) {
+                console.warn(`Failed to initialize provider for ${chainName}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Get address for specific chain
+     */
+    getAddress(chain) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        if (!this.wallet || !this.wallet.addresses[chain]) {
+            throw new Error(`No address found for chain: ${chain}`);
+        }
+        
+        return this.wallet.addresses[chain];
+    }
+    
+    /**
+     * Derive addresses of account index for all chains
+     */
+    async deriveAccount(seed, index, name = `Account ${index + 1}`) {
+        const addresses = {};
+        
+        for (const [chainName, chainManager] of this.chains) {
+            try {
+                addresses[chainName] = await chainManager.getAddressFromSeed(seed, index);
+            } catch (error) {
+                console.warn(`Failed to generate address for ${chainName}:`, error);
+            }
+        }
+        
+        return {
+            index: index,
+            name: name,
+            addresses: addresses,
+            discovery: this.createDiscoveryState(seed, index),
+            createdAt: Date.now()
+        };
+    }
+    
+    /**
+     * Get derived accounts of the wallet
+     */
+    getAccounts() {
+        if (this.isLocked || !this.wallet) {
+            throw new Error('Wallet is locked');
+        }
+        
+        return this.wallet.accounts.map(account => ({
+            index: account.index,
+            name: account.name,
+            addresses: account.addresses,
+            watchOnly: !!account.watchOnly,
+            active: account.index === this.wallet.activeAccount
+        }));
+    }
+    
+    /**
+     * Get currently selected account
+     */
+    getActiveAccount() {
+        if (!this.wallet) {
+            return null;
+        }
+        
+        return this.wallet.accounts.find(account => account.index === this.wallet.activeAccount) || null;
+    }
+    
+    /**
+     * Point addresses and discovery state at the selected account
+     */
+    applyAccount(index) {
+        const account = this.wallet.accounts.find(a => a.index === index) || this.wallet.accounts[0];
+        
+        this.wallet.activeAccount = account.index;
+        this.wallet.addresses = account.addresses;
+        this.wallet.discovery = account.discovery;
+        
+        // Keys of the previous account must not be used for signing
+        this.privateKeys.clear();
+    }
+    
+    /**
+     * Derive next account under the wallet mnemonic
+     */
+    async createAccount(name = null) {
+        if (this.isLocked || !this.mnemonic) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const index = Math.max(...this.wallet.accounts
+            .filter(account => account.index >= 0)
+            .map(account => account.index)) + 1;
+        const accountName = this.validateAccountName(name || `Account ${index + 1}`);
+        
+        const seed = await Mnemonic.mnemonicToSeed(this.mnemonic, this.passphrase);
+        const account = await this.deriveAccount(seed, index, accountName);
+        SecurityConfig.zeroBuffer(seed);
+        
+        this.wallet.accounts = [...this.wallet.accounts, account];
+        await Storage.updateWallet(this.wallet.id, { accounts: this.wallet.accounts });
+        
+        return this.getAccounts().find(a => a.index === index);
+    }
+    
+    /**
+     * Add watch-only account from a bare address or a Bitcoin xpub/zpub
+     * Accounts not derived from the mnemonic take negative indices so they
+     * never collide with BIP-44 account numbers
+     */
+    async addWatchOnlyAccount(chain, addressOrKey, name = null, options = {}) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get(chain);
+        if (!chainManager) {
+            throw new Error(`Unsupported chain: ${chain}`);
+        }
+        
+        const value = (addressOrKey || '').trim();
+        const addresses = {};
+        const discovery = {};
+        
+        if (chainManager.isExtendedPublicKey && chainManager.isExtendedPublicKey(value)) {
+            // Track the whole account, not just its first address
+            discovery[chain] = chainManager.createWatchAccountState(value, options);
+            addresses[chain] = chainManager.deriveAccountAddress(discovery[chain], 0, 0).address;
+        } else if (this.validateAddress(chain, value)) {
+            addresses[chain] = value;
+        } else {
+            throw new Error(`Invalid ${chain} address or extended public key`);
+        }
+        
+        const index = this.getNextStandaloneIndex();
+        const watchCount = this.wallet.accounts.filter(account => account.watchOnly).length;
+        
+        const account = {
+            index: index,
+            name: this.validateAccountName(name || `Watch ${watchCount + 1}`),
+            addresses: addresses,
+            discovery: discovery,
+            watchOnly: true,
+            createdAt: Date.now()
+        };
+        
+        this.wallet.accounts = [...this.wallet.accounts, account];
+        await Storage.updateWallet(this.wallet.id, { accounts: this.wallet.accounts });
+        
+        return this.getAccounts().find(a => a.index === index);
+    }
+    
+    /**
+     * Import hex private key or V3 keystore JSON (scrypt/pbkdf2) as a key-based
+     * account for the EVM chains and TRON; the key is encrypted with the wallet vault key
+     */
+    async importPrivateKey(keyOrKeystore, password, options = {}) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const privateKey = await this.parsePrivateKey(keyOrKeystore, options.keystorePassword);
+        
+        await this.prepareKeyDerivation();
+        
+        const addresses = {};
+        for (const [chainName, chainManager] of this.chains) {
+            if (chainManager.getAddressFromPrivateKey) {
+                addresses[chainName] = chainManager.getAddressFromPrivateKey(privateKey);
+            }
+        }
+        
+        const duplicate = this.wallet.accounts.find(account => account.imported &&
+            Object.keys(addresses).some(chain => account.addresses[chain] === addresses[chain]));
+        if (duplicate) {
+            throw new Error(`Key already imported as ${duplicate.name}`);
+        }
+        
+        const index = this.getNextStandaloneIndex();
+        const importedCount = this.wallet.accounts.filter(account => account.imported).length;
+        
+        const account = {
+            index: index,
+            name: this.validateAccountName(options.name || `Imported ${importedCount + 1}`),
+            addresses: addresses,
+            discovery: {},
+            imported: true,
+            // Unwrapping the vault key confirms the password
+            encryptedKey: await Storage.encryptWalletSecret(this.wallet.id, privateKey, password),
+            createdAt: Date.now()
+        };
+        
+        await Storage.addWalletAccount(this.wallet.id, account);
+        this.wallet.accounts = [...this.wallet.accounts, account];
+        this.importedKeys.set(index, privateKey);
+        
+        return this.getAccounts().find(a => a.index === index);
+    }
+    
+    /**
+     * Get 0x-prefixed private key from hex string or V3 keystore JSON
+     */
+    async parsePrivateKey(keyOrKeystore, keystorePassword = null) {
+        const value = (keyOrKeystore || '').trim();
+        
+        if (value.startsWith('{')) {
+            if (!keystorePassword) {
+                throw new Error('Keystore password is required');
+            }
+            
+            try {
+                const wallet = await ethers.Wallet.fromEncryptedJson(value, keystorePassword);
+                return wallet.privateKey;
+            } catch (error) {
+                throw new Error('Invalid keystore file or password');
+            }
+        }
+        
+        const hex = value.startsWith('0x') ? value : `0x${value}`;
+        if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) {
+            throw new Error('Invalid private key');
+        }
+        
+        try {
+            // Rejects zero and keys outside the curve order
+            return new ethers.Wallet(hex).privateKey;
+        } catch (error) {
+            throw new Error('Invalid private key');
+        }
+    }
+    
+    /**
+     * Next index for accounts not derived from the mnemonic
+     */
+    getNextStandaloneIndex() {
+        return Math.min(0, ...this.wallet.accounts.map(account => account.index)) - 1;
+    }
+    
+    /**
+     * Check whether the selected account is watch-only
+     */
+    isWatchOnly() {
+        const account = this.getActiveAccount();
+        return !!(account && account.watchOnly);
+    }
+    
+    /**
+     * Rename account
+     */
+    async renameAccount(index, name) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const account = this.wallet.accounts.find(a => a.index === index);
+        if (!account) {
+            throw new Error(`Account not found: ${index}`);
+        }
+        
+        account.name = this.validateAccountName(name, index);
+        await Storage.updateWallet(this.wallet.id, { accounts: this.wallet.accounts });
+        
+        return true;
+    }
+    
+    /**
+     * Switch dashboard, balances and signing to another account
+     */
+    async switchAccount(index) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        if (!this.wallet.accounts.some(account => account.index === index)) {
+            throw new Error(`Account not found: ${index}`);
+        }
+        
+        this.applyAccount(index);
+        await Storage.updateWallet(this.wallet.id, { activeAccount: index });
+        
+        this.events.emit(WalletEvents.ACCOUNT_SWITCHED, {
+            index: index,
+            account: this.getActiveAccount()
+        });
+        
+        // Scan the account on first use
+        await this.ensureDiscoveryState();
+        this.discoverAccounts(false).catch(error => {
+            console.warn('Account discovery failed:', error);
+        });
+        
+        return this.getActiveAccount();
+    }
+    
+    /**
+     * Validate account name
+     */
+    validateAccountName(name, index = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        
+        if (!trimmed) {
+            throw new Error('Account name is required');
+        }
+        if (trimmed.length > 32) {
+            throw new Error('Account name must be 32 characters or less');
+        }
+        if (this.wallet.accounts.some(account => account.name === trimmed && account.index !== index)) {
+            throw new Error('Account name already in use');
+        }
+        
+        return trimmed;
+    }
+    
+    /**
+     * Create discovery state for chains with HD account discovery
+     */
+    createDiscoveryState(seed, index = 0) {
+        const discovery = {};
+        
+        for (const [chainName, chainManager] of this.chains) {
+            if (chainManager.createAccountState) {
+                discovery[chainName] = chainManager.createAccountState(seed, index);
+            }
+        }
+        
+        return discovery;
+    }
+    
+    /**
+     * Add discovery state to wallets created before address discovery
      */
-    async importWallet(mnemonic, password) {
-        try {
-            // Validate mnemonic
-            const validation = Mnemonic.validateMnemonic(mnemonic);
-            if (!validation.valid) {
-                throw new Error(validation.error);
-            }
-            
-            this.mnemonic = mnemonic;
-            
-            // Generate addresses
-            const addresses = {};
-            const seed = await Mnemonic.mnemonicToSeed(this.mnemonic);
-            
-            for (const [chainName, chainManager] of this.chains) {
-                try {
-                    const address = await chainManager.getAddressFromSeed(seed);
-                    addresses[chainName] = address;
-                } catch (error) {
-                    console.warn(`Failed to generate address for ${chainName}:`, error);
-                }
-            }
-            
-            // Create wallet data
-            this.wallet = {
-                id: Storage.generateId(),
-                name: 'Eterna Wallet',
-                mnemonic: this.mnemonic,
-                addresses: addresses,
-                createdAt: Date.now()
-            };
-            
-            // Save encrypted wallet
-            await Storage.saveWallet(this.wallet, password);
-            
-            // Clear mnemonic from memory
-            this.clearSensitiveData();
-            
-            // Unlock wallet
-            await this.unlock(password);
-            
-            return this.wallet;
-            
-        } catch (error) {
-            console.error('Failed to import wallet:', error);
-            this.clearSensitiveData();
-            throw error;
+    async ensureDiscoveryState() {
+        // Watch-only and imported accounts only track what they were created from
+        const active = this.getActiveAccount();
+        if (active.watchOnly || active.imported) {
+            return;
+        }
+        
+        const missing = Array.from(this.chains.entries())
+            .some(([chainName, chainManager]) =>
+                chainManager.createAccountState && !this.wallet.discovery[chainName]);
+        
+        if (!missing) {
+            return;
         }
+        
+        const seed = await Mnemonic.mnemonicToSeed(this.mnemonic, this.passphrase);
+        const discovery = {
+            ...this.createDiscoveryState(seed, this.wallet.activeAccount),
+            ...this.wallet.discovery
+        };
+        SecurityConfig.zeroBuffer(seed);
+        
+        await this.saveDiscovery(discovery);
     }
     
     /**
-     * Unlock wallet with password
+     * Scan address chains up to the gap limit for used addresses
      */
-    async unlock(password) {
-        try {
-            // Load and decrypt wallet
-            const walletInfo = await Storage.getWalletInfo();
-            if (!walletInfo) {
-                throw new Error('No wallet found');
-            }
-            
-            this.wallet = await Storage.loadWallet(walletInfo.id, password);
-            this.mnemonic = this.wallet.mnemonic;
-            
-            // Initialize providers
-            await this.initProviders();
-            
-            this.isLocked = false;
-            
-            // Start auto-lock timer
-            this.startAutoLock();
-            
-            return true;
+    async discoverAccounts(force = true) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const gapLimit = await Storage.loadSetting('bitcoinGapLimit', AppConfig.wallet.bitcoinGapLimit);
+        
+        // Results belong to the account selected when the scan started
+        const target = this.getActiveAccount();
+        
+        for (const [chainName, account] of Object.entries(target.discovery)) {
+            const chainManager = this.chains.get(chainName);
+            if (!chainManager || !chainManager.discoverAccount) continue;
+            if (!force && account.discoveredAt) continue;
             
-        } catch (error) {
-            console.error('Failed to unlock wallet:', error);
-            this.lock();
-            throw error;
+            const discovered = await chainManager.discoverAccount(account, gapLimit);
+            await this.saveDiscovery({ ...target.discovery, [chainName]: discovered }, target);
         }
+        
+        return target.discovery;
     }
     
     /**
-     * Lock wallet
+     * Get discovered HD account for chain (null for single-address chains)
      */
-    lock() {
-        this.clearSensitiveData();
-        this.providers.clear();
-        this.isLocked = true;
+    getAccount(chain) {
+        return (this.wallet && this.wallet.discovery && this.wallet.discovery[chain]) || null;
+    }
+    
+    /**
+     * Persist HD account state for chain
+     */
+    async saveAccount(chain, account) {
+        await this.saveDiscovery({ ...this.wallet.discovery, [chain]: account });
+    }
+    
+    /**
+     * Persist discovery state of account (selected account by default)
+     */
+    async saveDiscovery(discovery, account = this.getActiveAccount()) {
+        account.discovery = discovery;
+        if (account.index === this.wallet.activeAccount) {
+            this.wallet.discovery = discovery;
+        }
+        
+        await Storage.updateWallet(this.wallet.id, { accounts: this.wallet.accounts });
+    }
+    
+    /**
+     * Record that a transaction paid to one of our account addresses
+     */
+    async markAddressUsed(chain, address) {
+        const account = this.getAccount(chain);
+        const chainManager = this.chains.get(chain);
         
-        // Clear auto-lock timer
-        if (this.autoLockTimer) {
-            clearTimeout(this.autoLockTimer);
-            this.autoLockTimer = null;
+        if (address && account && chainManager.markAddressUsed) {
+            await this.saveAccount(chain, chainManager.markAddressUsed(account, address));
         }
     }
     
     /**
-     * Initialize blockchain providers
+     * Get every address of the chain's account
      */
-    async initProviders() {
-        for (const [chainName, chainManager] of this.chains) {
-            try {
-                const provider = await chainManager.getProvider();
-                this.providers.set(chainName, provider);
-            } catch (error) {
-                console.warn(`Failed to initialize provider for ${chainName}:`, error);
-            }
+    getChainAddresses(chain) {
+        const account = this.getAccount(chain);
+        const chainManager = this.chains.get(chain);
+        
+        if (account && chainManager && chainManager.getAccountAddresses) {
+            return chainManager.getAccountAddresses(account);
         }
+        
+        return [this.getAddress(chain)];
     }
     
     /**
-     * Get address for specific chain
+     * Get address to receive funds on (fresh unused address for HD accounts)
      */
-    getAddress(chain) {
+    async getReceiveAddress(chain) {
         if (this.isLocked) {
             throw new Error('Wallet is locked');
         }
         
-        if (!this.wallet || !this.wallet.addresses[chain]) {
-            throw new Error(`No address found for chain: ${chain}`);
+        const account = this.getAccount(chain);
+        const chainManager = this.chains.get(chain);
+        
+        if (!account || !chainManager || !chainManager.getFreshReceiveAddress) {
+            return this.getAddress(chain);
         }
         
-        return this.wallet.addresses[chain];
+        const fresh = await chainManager.getFreshReceiveAddress(account);
+        if (fresh.account.nextReceiveIndex !== account.nextReceiveIndex) {
+            await this.saveAccount(chain, fresh.account);
+        }
+        
+        return fresh.address;
     }
     
     /**
@@ -225,14 +1020,18 @@ class WalletManager {
             throw new Error(`Unsupported chain: ${chain}`);
         }
         
-        const addr = address || this.getAddress(chain);
+        // HD accounts report the balance across all their addresses
+        const addr = address || (this.getAccount(chain)
+            ? this.getChainAddresses(chain)
+            : this.getAddress(chain));
         const provider = this.providers.get(chain);
         
         if (!provider) {
             throw new Error(`Provider not available for chain: ${chain}`);
         }
         
-        return chainManager.getBalance(addr, provider);
+        const balance = await chainManager.getBalance(addr, provider);
+        return this.reportBalance(chain, 'native', addr, balance);
     }
     
     /**
@@ -255,7 +1054,11 @@ class WalletManager {
             throw new Error(`Provider not available for chain: ${chain}`);
         }
         
-        return chainManager.getTokenBalance(tokenAddress, addr, provider);
+        // Cached decimals save a contract call per balance lookup
+        const token = await TokenManager.resolveToken(tokenAddress, chain);
+        
+        const balance = await chainManager.getTokenBalance(tokenAddress, addr, provider, token.decimals);
+        return this.reportBalance(chain, tokenAddress, addr, balance);
     }
     
     /**
@@ -282,13 +1085,32 @@ class WalletManager {
             throw new Error(`Provider not available for chain: ${chain}`);
         }
         
-        // Send transaction
-        const result = await chainManager.sendTransaction(
-            transaction,
-            privateKey,
-            provider
+        // HD accounts spend from all their addresses
+        const account = this.getAccount(chain);
+        const request = await this.resolveTokenTransfer(
+            chain,
+            account ? { ...transaction, account } : transaction
         );
         
+        // Send transaction
+        let result;
+        try {
+            result = await chainManager.sendTransaction(
+                request,
+                privateKey,
+                provider
+            );
+        } catch (error) {
+            this.events.emit(WalletEvents.TRANSACTION_FAILED, {
+                chain: chain,
+                hash: null,
+                error: error.message
+            });
+            throw error;
+        }
+        
+        await this.markAddressUsed(chain, result.changeAddress);
+        
         // Save transaction to history
         if (result.hash) {
             await Storage.saveTransaction({
@@ -300,11 +1122,257 @@ class WalletManager {
                 token: transaction.token || 'native',
                 fee: result.fee,
                 hash: result.hash,
+                nonce: result.nonce,
                 timestamp: Date.now(),
                 status: 'pending'
             });
+            
+            this.events.emit(WalletEvents.TRANSACTION_SUBMITTED, {
+                chain: chain,
+                hash: result.hash,
+                type: 'send'
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Attach token decimals to token transfers
+     */
+    async resolveTokenTransfer(chain, transaction) {
+        if (!transaction.token || transaction.token === 'native') {
+            return transaction;
+        }
+        
+        const chainManager = this.chains.get(chain);
+        if (!chainManager.getTokenBalance) {
+            throw new Error(`Token transfers not supported for chain: ${chain}`);
+        }
+        
+        const token = await TokenManager.getTokenInfo(transaction.token, chain);
+        if (!token) {
+            throw new Error(`Unknown token: ${transaction.token}`);
+        }
+        
+        return { ...transaction, token: token.address, tokenDecimals: token.decimals };
+    }
+    
+    /**
+     * Replace stuck transaction with a higher fee (RBF)
+     */
+    async bumpFee(chain, txid, newFeeRate) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get(chain);
+        if (!chainManager || !chainManager.bumpFee) {
+            throw new Error(`Fee bumping not supported for chain: ${chain}`);
+        }
+        
+        const privateKey = await this.getPrivateKey(chain);
+        const result = await chainManager.bumpFee(
+            txid,
+            newFeeRate,
+            privateKey,
+            this.providers.get(chain),
+            this.getAccount(chain)
+        );
+        
+        await this.markAddressUsed(chain, result.changeAddress);
+        
+        const original = await Storage.getTransaction(txid);
+        
+        await Storage.saveTransaction({
+            chain: chain,
+            type: 'send',
+            from: result.from,
+            to: result.to,
+            amount: result.value,
+            token: 'native',
+            fee: result.fee,
+            hash: result.hash,
+            timestamp: original ? original.timestamp : Date.now(),
+            status: 'pending',
+            replaces: txid
+        });
+        
+        if (original) {
+            await Storage.updateTransaction(txid, {
+                status: 'replaced',
+                replacedBy: result.hash
+            });
+        }
+        
+        this.events.emit(WalletEvents.TRANSACTION_SUBMITTED, {
+            chain: chain,
+            hash: result.hash,
+            type: 'send'
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Accelerate unconfirmed incoming transaction (CPFP)
+     */
+    async accelerateTransaction(chain, txid, feeRate) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get(chain);
+        if (!chainManager || !chainManager.cpfp) {
+            throw new Error(`CPFP not supported for chain: ${chain}`);
+        }
+        
+        const privateKey = await this.getPrivateKey(chain);
+        const result = await chainManager.cpfp(
+            txid,
+            feeRate,
+            privateKey,
+            this.providers.get(chain),
+            this.getAccount(chain)
+        );
+        
+        await this.markAddressUsed(chain, result.to);
+        
+        // Record the incoming parent if it is not in history yet
+        const parent = await Storage.getTransaction(txid);
+        if (parent) {
+            await Storage.updateTransaction(txid, { child: result.hash });
+        } else {
+            await Storage.saveTransaction({
+                chain: chain,
+                type: 'receive',
+                to: result.from,
+                amount: result.received,
+                token: 'native',
+                hash: txid,
+                status: 'pending',
+                child: result.hash
+            });
+        }
+        
+        await Storage.saveTransaction({
+            chain: chain,
+            type: 'cpfp',
+            from: result.from,
+            to: result.to,
+            amount: result.value,
+            token: 'native',
+            fee: result.fee,
+            hash: result.hash,
+            timestamp: Date.now(),
+            status: 'pending',
+            parent: txid
+        });
+        
+        this.events.emit(WalletEvents.TRANSACTION_SUBMITTED, {
+            chain: chain,
+            hash: result.hash,
+            type: 'cpfp'
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Create unsigned Bitcoin PSBT (base64) for external signers
+     */
+    async createPSBT(transaction) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get('bitcoin');
+        if (!chainManager || !chainManager.buildPSBT) {
+            throw new Error('PSBT not supported');
+        }
+        
+        const account = this.getAccount('bitcoin');
+        const psbt = await chainManager.buildPSBT(
+            account ? { ...transaction, account } : transaction,
+            this.getAddress('bitcoin')
+        );
+        return chainManager.exportPSBT(psbt);
+    }
+    
+    /**
+     * Sign Bitcoin PSBT (base64) with this wallet's key
+     */
+    async signPSBT(psbtBase64) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get('bitcoin');
+        if (!chainManager || !chainManager.signPSBT) {
+            throw new Error('PSBT not supported');
+        }
+        
+        const privateKey = await this.getPrivateKey('bitcoin');
+        const psbt = chainManager.importPSBT(psbtBase64);
+        chainManager.signPSBT(psbt, privateKey);
+        
+        return chainManager.exportPSBT(psbt);
+    }
+    
+    /**
+     * Finalize and broadcast fully signed Bitcoin PSBT (base64)
+     */
+    async broadcastPSBT(psbtBase64) {
+        if (this.isLocked) {
+            throw new Error('Wallet is locked');
+        }
+        
+        const chainManager = this.chains.get('bitcoin');
+        if (!chainManager || !chainManager.finalizePSBT) {
+            throw new Error('PSBT not supported');
+        }
+        
+        const psbt = chainManager.finalizePSBT(chainManager.importPSBT(psbtBase64));
+        const result = await chainManager.broadcastTransactionAPI(
+            chainManager.extractTransaction(psbt)
+        );
+        
+        // Amount sent is everything not returned to our own addresses
+        const from = this.getAddress('bitcoin');
+        const ownAddresses = this.getChainAddresses('bitcoin');
+        const ownScripts = ownAddresses.map(address => chainManager.addressToScript(address));
+        const ownIndex = (output) => ownScripts.findIndex(
+            script => chainManager.bytesEqual(output.script, script)
+        );
+        const sent = psbt.tx.outputs
+            .filter(output => ownIndex(output) === -1)
+            .reduce((sum, output) => sum + output.value, 0);
+        
+        for (const output of psbt.tx.outputs) {
+            if (ownIndex(output) !== -1) {
+                await this.markAddressUsed('bitcoin', ownAddresses[ownIndex(output)]);
+            }
         }
         
+        await Storage.saveTransaction({
+            chain: 'bitcoin',
+            type: 'send',
+            from: from,
+            to: null,
+            amount: chainManager.fromSatoshis(sent),
+            token: 'native',
+            fee: chainManager.fromSatoshis(psbt.getFee()),
+            hash: result.hash,
+            timestamp: Date.now(),
+            status: 'pending'
+        });
+        
+        this.events.emit(WalletEvents.TRANSACTION_SUBMITTED, {
+            chain: 'bitcoin',
+            hash: result.hash,
+            type: 'send'
+        });
+        
         return result;
     }
     
@@ -316,9 +1384,24 @@ class WalletManager {
             throw new Error('Wallet is locked');
         }
         
+        if (this.isWatchOnly()) {
+            throw new Error('Watch-only account cannot sign transactions');
+        }
+        
+        // Imported accounts sign with their own key
+        const active = this.getActiveAccount();
+        if (active.imported) {
+            if (!active.addresses[chain] || !this.importedKeys.has(active.index)) {
+                throw new Error(`No private key for chain: ${chain}`);
+            }
+            return this.importedKeys.get(active.index);
+        }
+        
         // Check cache
-        if (this.privateKeys.has(chain)) {
-            return this.privateKeys.get(chain);
+        const index = this.wallet.activeAccount;
+        const cacheKey = `${index}:${chain}`;
+        if (this.privateKeys.has(cacheKey)) {
+            return this.privateKeys.get(cacheKey);
         }
         
         const chainManager = this.chains.get(chain);
@@ -326,27 +1409,34 @@ class WalletManager {
             throw new Error(`Private key derivation not supported for chain: ${chain}`);
         }
         
-        // Derive private key
-        const privateKey = await chainManager.getPrivateKeyFromMnemonic(
-            this.mnemonic
-        );
+        // Derive private key (account xprv for HD account chains)
+        const privateKey = chainManager.getAccountKeyFromMnemonic
+            ? await chainManager.getAccountKeyFromMnemonic(this.mnemonic, index, this.passphrase)
+            : await chainManager.getPrivateKeyFromMnemonic(this.mnemonic, index, this.passphrase);
         
         // Cache private key (temporarily)
-        this.privateKeys.set(chain, privateKey);
+        this.privateKeys.set(cacheKey, privateKey);
         
         // Auto-clear after 30 seconds
         setTimeout(() => {
-            this.privateKeys.delete(chain);
+            this.privateKeys.delete(cacheKey);
         }, 30000);
         
         return privateKey;
     }
     
     /**
-     * Get transaction history
+     * Get transaction history of the selected account
      */
     async getTransactionHistory(chain, limit = 20) {
-        return Storage.getTransactions(chain, limit);
+        if (this.isLocked) {
+            return Storage.getTransactions(chain, limit);
+        }
+        
+        const chains = chain ? [chain] : Object.keys(this.wallet.addresses);
+        const addresses = chains.flatMap(c => this.getChainAddresses(c));
+        
+        return Storage.getTransactions(chain, limit, addresses);
     }
     
     /**
@@ -367,7 +1457,12 @@ class WalletManager {
             throw new Error(`Provider not available for chain: ${chain}`);
         }
         
-        return chainManager.estimateFee(transaction, provider);
+        const request = await this.resolveTokenTransfer(chain, transaction);
+        
+        return chainManager.estimateFee(
+            { from: this.getAddress(chain), ...request },
+            provider
+        );
     }
     
     /**
@@ -404,35 +1499,6 @@ class WalletManager {
         return SecurityConfig.validateAddress(address, chain);
     }
     
-    /**
-     * Start auto-lock timer
-     */
-    startAutoLock() {
-        if (this.autoLockTimer) {
-            clearTimeout(this.autoLockTimer);
-        }
-        
-        const delay = await Storage.loadSetting('autoLockDelay', 300) * 1000;
-        
-        if (delay > 0) {
-            this.autoLockTimer = setTimeout(() => {
-                if (!this.isLocked) {
-                    this.lock();
-                    this.showNotification('Wallet auto-locked due to inactivity');
-                }
-            }, delay);
-        }
-    }
-    
-    /**
-     * Reset auto-lock timer
-     */
-    resetAutoLock() {
-        if (!this.isLocked) {
-            this.startAutoLock();
-        }
-    }
-    
     /**
      * Clear sensitive data from memory
      */
@@ -441,20 +1507,27 @@ class WalletManager {
         if (this.mnemonic) {
             this.mnemonic = null;
         }
+        this.passphrase = '';
         
         // Clear private keys
         this.privateKeys.clear();
+        this.importedKeys.clear();
         
         // Clear wallet data (except non-sensitive info)
         if (this.wallet && this.wallet.mnemonic) {
             this.wallet.mnemonic = null;
         }
+        if (this.wallet && this.wallet.passphrase) {
+            this.wallet.passphrase = null;
+        }
     }
     
     /**
      * Show notification
      */
     showNotification(message, type = 'info') {
+        this.events.emit(WalletEvents.NOTIFICATION, { message, type });
+        
         const event = new CustomEvent('wallet-notification', {
             detail: { message, type }
         });
@@ -9,14 +9,24 @@ importScripts('../config/rpc.config.js');
 importScripts('../config/security.config.js');
 
 // Import core modules
+importScripts('../scripts/core/kdf.js');
 importScripts('../scripts/core/encryption.js');
 importScripts('../scripts/core/mnemonic.js');
 importScripts('../scripts/core/storage.js');
+importScripts('../scripts/core/rpc-pool.js');
+importScripts('../scripts/core/session.js');
+importScripts('../scripts/core/passkey.js');
+importScripts('../scripts/core/events.js');
 importScripts('../scripts/core/wallet.js');
+importScripts('../scripts/core/prices.js');
+importScripts('../scripts/core/portfolio.js');
+importScripts('../scripts/core/tx-tracker.js');
+importScripts('../scripts/core/history-sync.js');
 
 // Import chain modules
 importScripts('../scripts/chains/ethereum.js');
 importScripts('../scripts/chains/tron.js');
+importScripts('../scripts/chains/bitcoin-psbt.js');
 importScripts('../scripts/chains/bitcoin.js');
 
 // Import utilities
@@ -31,8 +41,8 @@ class EternaWalletApp {
     constructor() {
         this.currentScreen = 'loading';
         this.wallet = Wallet;
+        this.currentChain = 'ethereum';
         this.isInitialized = false;
-        this.userActivityTimer = null;
         this.notifications = [];
         
         this.init();
@@ -62,6 +72,12 @@ class EternaWalletApp {
             // Set up auto-lock monitoring
             this.setupAutoLock();
             
+            // Health-check RPC endpoints and show the node in use
+            RPCPool.onStatusChange(() => this.updateConnectionStatus());
+            RPCPool.start().catch(error => {
+                console.error('Failed to check RPC endpoints:', error);
+            });
+            
             // Update connection status
             this.updateConnectionStatus();
             
@@ -94,9 +110,43 @@ class EternaWalletApp {
      */
     setupEventListeners() {
         // Wallet events
-        window.addEventListener('wallet-notification', (event) => {
-            this.showNotification(event.detail.message, event.detail.type);
+        this.wallet.on(WalletEvents.NOTIFICATION, ({ message, type }) => {
+            this.showNotification(message, type);
+        });
+        
+        // Portfolio updates (periodic balance refresh)
+        Portfolio.onUpdate(snapshot => {
+            if (this.currentScreen === 'dashboard') {
+                this.renderPortfolio(snapshot);
+            }
+        });
+        
+        // Track pending transactions while unlocked
+        this.wallet.on(WalletEvents.UNLOCKED, () => {
+            TxTracker.start().catch(error => {
+                console.error('Failed to start transaction tracker:', error);
+            });
         });
+        this.wallet.on(WalletEvents.LOCKED, () => TxTracker.stop());
+        
+        // Pull on-chain history of the selected account
+        const syncHistory = () => {
+            HistorySync.start().catch(error => {
+                console.error('Failed to sync history:', error);
+            });
+        };
+        this.wallet.on(WalletEvents.UNLOCKED, syncHistory);
+        this.wallet.on(WalletEvents.ACCOUNT_SWITCHED, syncHistory);
+        this.wallet.on(WalletEvents.LOCKED, () => HistorySync.stop());
+        
+        const onTransactionsChanged = () => {
+            if (this.currentScreen === 'dashboard') {
+                this.loadTransactions();
+            }
+        };
+        this.wallet.on(WalletEvents.TRANSACTION_CONFIRMED, onTransactionsChanged);
+        this.wallet.on(WalletEvents.TRANSACTION_FAILED, onTransactionsChanged);
+        this.wallet.on(WalletEvents.HISTORY_SYNCED, onTransactionsChanged);
         
         // User activity tracking for auto-lock
         document.addEventListener('mousemove', () => this.resetAutoLock());
@@ -174,6 +224,27 @@ class EternaWalletApp {
             this.togglePasswordVisibility('unlockPassword');
         });
         
+        document.getElementById('passkeyUnlockBtn')?.addEventListener('click', () => {
+            this.onPasskeyUnlock();
+        });
+        
+        document.getElementById('unlockWalletSelect')?.addEventListener('change', () => {
+            this.updatePasskeyUnlock();
+        });
+        
+        // Wallet switcher
+        document.getElementById('addWalletBtn')?.addEventListener('click', () => {
+            this.showScreen('welcome');
+        });
+        
+        document.getElementById('welcomeUnlockBtn')?.addEventListener('click', () => {
+            this.showScreen('unlock');
+        });
+        
+        document.getElementById('switchWalletBtn')?.addEventListener('click', () => {
+            this.wallet.lock();
+        });
+        
         // Dashboard buttons
         document.getElementById('sendBtn')?.addEventListener('click', () => {
             this.showSendModal();
@@ -193,7 +264,6 @@ class EternaWalletApp {
         
         document.getElementById('lockBtn')?.addEventListener('click', () => {
             this.wallet.lock();
-            this.showScreen('unlock');
             this.showNotification('Wallet locked');
         });
         
@@ -230,12 +300,25 @@ class EternaWalletApp {
         // Settings
         document.getElementById('lockTimerSelect')?.addEventListener('change', (event) => {
             this.saveSetting('autoLockDelay', parseInt(event.target.value));
+            Session.setLockDelay(parseInt(event.target.value));
+        });
+        
+        document.getElementById('wipeAfterSelect')?.addEventListener('change', (event) => {
+            this.onWipeAfterChange(event.target);
         });
         
         document.getElementById('showRecoveryBtn')?.addEventListener('click', () => {
             this.showRecoveryPhrase();
         });
         
+        document.getElementById('changePasswordBtn')?.addEventListener('click', () => {
+            this.onChangePassword();
+        });
+        
+        document.getElementById('passkeyBtn')?.addEventListener('click', () => {
+            this.onTogglePasskey();
+        });
+        
         document.getElementById('clearWalletBtn')?.addEventListener('click', () => {
             this.clearWalletData();
         });
@@ -245,11 +328,51 @@ class EternaWalletApp {
             this.copyAddressToClipboard();
         });
         
+        // Accounts
+        document.getElementById('accountSelect')?.addEventListener('change', (event) => {
+            this.onSwitchAccount(parseInt(event.target.value));
+        });
+        
+        document.getElementById('addAccountBtn')?.addEventListener('click', () => {
+            this.onAddAccount();
+        });
+        
+        document.getElementById('addWatchAccountBtn')?.addEventListener('click', () => {
+            this.onAddWatchAccount();
+        });
+        
+        document.getElementById('importKeyBtn')?.addEventListener('click', () => {
+            this.onImportPrivateKey();
+        });
+        
+        document.getElementById('renameAccountBtn')?.addEventListener('click', () => {
+            this.onRenameAccount();
+        });
+        
+        // Valuation currency
+        document.getElementById('currencySelect')?.addEventListener('change', (event) => {
+            Portfolio.setCurrency(event.target.value).catch(error => {
+                console.error('Failed to change currency:', error);
+            });
+        });
+        
         // Send transaction
         document.getElementById('sendConfirmBtn')?.addEventListener('click', () => {
             this.sendTransaction();
         });
         
+        // Refresh send form when network, asset or fee speed changes
+        document.getElementById('sendChain')?.addEventListener('change', async () => {
+            await this.populateSendAssets();
+            this.updateSendForm();
+        });
+        document.getElementById('sendToken')?.addEventListener('change', () => {
+            this.updateSendForm();
+        });
+        document.getElementById('sendFeeSpeed')?.addEventListener('change', () => {
+            this.updateNetworkFee();
+        });
+        
         // Add more event listeners as needed...
     }
     
@@ -277,7 +400,10 @@ class EternaWalletApp {
                     this.initSettings();
                     break;
                 case 'unlock':
-                    this.focusUnlockPassword();
+                    this.initUnlockScreen();
+                    break;
+                case 'welcome':
+                    this.initWelcomeScreen();
                     break;
             }
         }
@@ -331,6 +457,8 @@ class EternaWalletApp {
             default:
                 if (this.isInitialized && !this.wallet.isLocked) {
                     this.showScreen('dashboard');
+                } else if (this.isInitialized) {
+                    this.showScreen('unlock');
                 } else {
                     this.showScreen('welcome');
                 }
@@ -369,15 +497,31 @@ class EternaWalletApp {
      * Load balances
      */
     async loadBalances() {
-        // This would fetch balances from blockchain
-        // For now, use placeholder data
-        const totalBalance = 0;
+        // Start periodic updates on first load, refresh afterwards
+        const snapshot = Portfolio.updateTimer
+            ? await Portfolio.refresh()
+            : await Portfolio.start();
+        
+        const currencySelect = document.getElementById('currencySelect');
+        if (currencySelect) {
+            currencySelect.value = snapshot.currency;
+        }
         
-        // Update UI
+        this.renderTotalBalance(snapshot);
+    }
+    
+    /**
+     * Render total balance, flagging valuations based on stale prices
+     */
+    renderTotalBalance(snapshot) {
         const balanceElement = document.getElementById('totalBalance');
-        if (balanceElement) {
-            balanceElement.textContent = Formatter.formatCurrency(totalBalance, 'USD');
-        }
+        if (!balanceElement) return;
+        
+        balanceElement.textContent = Formatter.formatCurrency(snapshot.total, snapshot.currency);
+        balanceElement.classList.toggle('stale', snapshot.stale);
+        balanceElement.title = snapshot.stale
+            ? `Prices last updated ${Formatter.formatDate(snapshot.pricesUpdated)}`
+            : '';
     }
     
     /**
@@ -390,20 +534,31 @@ class EternaWalletApp {
         // Clear existing assets
         assetsList.innerHTML = '';
         
-        // Placeholder assets
-        const placeholderAssets = [
-            { symbol: 'ETH', name: 'Ethereum', balance: '0.5', value: '$850.00', change: '+2.5%' },
-            { symbol: 'USDC', name: 'USD Coin', balance: '1000', value: '$1000.00', change: '0%' },
-            { symbol: 'MATIC', name: 'Polygon', balance: '500', value: '$250.00', change: '-1.2%' }
-        ];
+        const snapshot = Portfolio.getSnapshot();
         
         // Add assets to list
-        placeholderAssets.forEach(asset => {
-            const assetElement = this.createAssetElement(asset);
+        snapshot.holdings.forEach(holding => {
+            const assetElement = this.createAssetElement({
+                symbol: holding.symbol,
+                name: holding.name,
+                balance: holding.balance,
+                value: holding.value !== null
+                    ? Formatter.formatCurrency(holding.value, snapshot.currency) + (holding.stale ? ' *' : '')
+                    : '-',
+                change: ''
+            });
             assetsList.appendChild(assetElement);
         });
     }
     
+    /**
+     * Render portfolio update on dashboard
+     */
+    renderPortfolio(snapshot) {
+        this.renderTotalBalance(snapshot);
+        this.loadAssets();
+    }
+    
     /**
      * Create asset element
      */
@@ -418,9 +573,10 @@ class EternaWalletApp {
             </div>
             <div class="asset-value">
                 <div class="amount">${asset.value}</div>
+                ${asset.change ? `
                 <div class="change ${asset.change.startsWith('+') ? 'positive' : 'negative'}">
                     ${asset.change}
-                </div>
+                </div>` : ''}
             </div>
         `;
         return div;
@@ -503,10 +659,139 @@ class EternaWalletApp {
             walletName.textContent = this.wallet.wallet.name;
         }
         
+        this.renderAccounts();
+        
+        // Watch-only accounts can view balances but not send
+        const sendButton = document.getElementById('sendBtn');
+        if (sendButton) {
+            sendButton.disabled = this.wallet.isWatchOnly();
+            sendButton.title = sendButton.disabled ? 'Watch-only account' : '';
+        }
+        
         // Update connection status
         this.updateConnectionStatus();
     }
     
+    /**
+     * Fill account picker
+     */
+    renderAccounts() {
+        const accountSelect = document.getElementById('accountSelect');
+        if (!accountSelect || this.wallet.isLocked) return;
+        
+        accountSelect.innerHTML = '';
+        this.wallet.getAccounts().forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.index;
+            option.textContent = account.watchOnly ? `${account.name} (watch-only)` : account.name;
+            option.selected = account.active;
+            accountSelect.appendChild(option);
+        });
+    }
+    
+    /**
+     * Switch to another derived account and reload the dashboard
+     */
+    async onSwitchAccount(index) {
+        try {
+            await this.wallet.switchAccount(index);
+            Portfolio.reset();
+            await this.initDashboard();
+            
+        } catch (error) {
+            console.error('Failed to switch account:', error);
+            this.showError(error.message);
+            this.renderAccounts();
+        }
+    }
+    
+    /**
+     * Derive a new account and switch to it
+     */
+    async onAddAccount() {
+        const name = prompt('Account name', `Account ${this.wallet.getAccounts().length + 1}`);
+        if (name === null) return;
+        
+        try {
+            const account = await this.wallet.createAccount(name);
+            await this.onSwitchAccount(account.index);
+            this.showNotification(`${account.name} added`, 'success');
+            
+        } catch (error) {
+            console.error('Failed to add account:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    /**
+     * Add watch-only account from an address or Bitcoin xpub/zpub and switch to it
+     */
+    async onAddWatchAccount() {
+        const chain = prompt('Network (ethereum, bsc, polygon, tron, bitcoin)', 'bitcoin');
+        if (chain === null) return;
+        
+        const value = prompt('Address or Bitcoin xpub/zpub to watch');
+        if (value === null) return;
+        
+        try {
+            const account = await this.wallet.addWatchOnlyAccount(chain.trim().toLowerCase(), value);
+            await this.onSwitchAccount(account.index);
+            this.showNotification(`${account.name} added`, 'success');
+            
+        } catch (error) {
+            console.error('Failed to add watch-only account:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    /**
+     * Import hex private key or V3 keystore JSON as an EVM/TRON account and switch to it
+     */
+    async onImportPrivateKey() {
+        const value = prompt('Private key (hex) or keystore JSON');
+        if (!value) return;
+        
+        let keystorePassword = null;
+        if (value.trim().startsWith('{')) {
+            keystorePassword = prompt('Keystore password');
+            if (keystorePassword === null) return;
+        }
+        
+        const password = prompt('Wallet password (encrypts the imported key)');
+        if (!password) return;
+        
+        try {
+            const account = await this.wallet.importPrivateKey(value, password, { keystorePassword });
+            await this.onSwitchAccount(account.index);
+            this.showNotification(`${account.name} imported`, 'success');
+            
+        } catch (error) {
+            console.error('Failed to import private key:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    /**
+     * Rename the selected account
+     */
+    async onRenameAccount() {
+        const account = this.wallet.getActiveAccount();
+        if (!account) return;
+        
+        const name = prompt('Account name', account.name);
+        if (name === null) return;
+        
+        try {
+            await this.wallet.renameAccount(account.index, name);
+            this.renderAccounts();
+            this.showNotification('Account renamed', 'success');
+            
+        } catch (error) {
+            console.error('Failed to rename account:', error);
+            this.showError(error.message);
+        }
+    }
+    
     /**
      * Update connection status
      */
@@ -516,15 +801,43 @@ class EternaWalletApp {
         
         const isOnline = navigator.onLine;
         const statusDot = statusElement.querySelector('.status-dot');
+        const statusText = Array.from(statusElement.childNodes)
+            .find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
         
-        if (isOnline) {
-            statusElement.textContent = 'Online';
-            statusDot.className = 'status-dot online';
-        } else {
-            statusElement.textContent = 'Offline';
+        // Node serving the selected chain (Bitcoin uses explorer APIs)
+        const status = RPCConfig.endpoints[this.currentChain]
+            ? RPCPool.getStatus(this.currentChain)
+            : null;
+        
+        let text;
+        if (!isOnline) {
+            text = 'Offline';
+            statusDot.className = 'status-dot offline';
+            statusDot.style.backgroundColor = 'var(--danger-color)';
+        } else if (status && status.healthy === false) {
+            text = 'No healthy node';
             statusDot.className = 'status-dot offline';
             statusDot.style.backgroundColor = 'var(--danger-color)';
+        } else {
+            text = 'Online';
+            statusDot.className = 'status-dot online';
+            statusDot.style.backgroundColor = '';
+        }
+        
+        if (status && status.url && isOnline) {
+            const host = new URL(status.url).host;
+            text += ` · ${host}${status.latency !== null ? ` (${status.latency} ms)` : ''}`;
         }
+        
+        // Replace only the label so the status dot stays in place
+        if (statusText) {
+            statusText.textContent = ` ${text} `;
+        } else {
+            statusElement.appendChild(document.createTextNode(` ${text} `));
+        }
+        statusElement.title = status
+            ? status.endpoints.map(e => `${e.url}: ${e.healthy ? `${e.latency} ms, block ${e.blockNumber}` : e.error || 'unhealthy'}`).join('\n')
+            : '';
     }
     
     /**
@@ -538,11 +851,19 @@ class EternaWalletApp {
             lockTimerSelect.value = lockTimer;
         }
         
+        const wipeAfter = await Storage.loadSetting('wipeAfterFailures', 0);
+        const wipeAfterSelect = document.getElementById('wipeAfterSelect');
+        if (wipeAfterSelect) {
+            wipeAfterSelect.value = wipeAfter;
+        }
+        
         // Load app version
         const versionElement = document.getElementById('appVersion');
         if (versionElement) {
             versionElement.textContent = AppConfig.version;
         }
+        
+        await this.updatePasskeySetting();
     }
     
     /**
@@ -553,6 +874,23 @@ class EternaWalletApp {
         this.showNotification('Setting saved');
     }
     
+    /**
+     * Confirm and save erase-after-failed-unlocks setting
+     */
+    async onWipeAfterChange(select) {
+        const wipeAfter = parseInt(select.value);
+        
+        if (wipeAfter > 0 && !confirm(
+            `A wallet will be erased from this device after ${wipeAfter} failed unlock attempts. ` +
+            'Make sure your recovery phrases are backed up.'
+        )) {
+            select.value = await Storage.loadSetting('wipeAfterFailures', 0);
+            return;
+        }
+        
+        await this.saveSetting('wipeAfterFailures', wipeAfter);
+    }
+    
     /**
      * Show receive modal
      */
@@ -567,8 +905,8 @@ class EternaWalletApp {
             const chainSelect = document.getElementById('receiveChainSelect');
             const chain = chainSelect?.value || 'ethereum';
             
-            // Get address for chain
-            const address = this.wallet.getAddress(chain);
+            // Get address for chain (fresh unused address for HD accounts)
+            const address = await this.wallet.getReceiveAddress(chain);
             
             // Update UI
             const addressElement = document.getElementById('receiveAddress');
@@ -596,9 +934,55 @@ class EternaWalletApp {
         }
         
         // Initialize form
+        await this.populateSendAssets();
         this.updateSendForm();
     }
     
+    /**
+     * Fill asset picker with native coin and tokens of selected chain
+     */
+    async populateSendAssets() {
+        const chain = document.getElementById('sendChain')?.value || 'ethereum';
+        const tokenSelect = document.getElementById('sendToken');
+        if (!tokenSelect) return;
+        
+        const selected = tokenSelect.value;
+        
+        // Bitcoin has no tokens
+        const tokens = chain === 'bitcoin' ? [] : await TokenManager.getTokens(chain);
+        
+        tokenSelect.innerHTML = '';
+        tokenSelect.appendChild(Helpers.createElement(
+            'option',
+            { value: 'native' },
+            [Formatter.formatChainSymbol(chain)]
+        ));
+        tokens.forEach(token => {
+            tokenSelect.appendChild(Helpers.createElement(
+                'option',
+                { value: token.address },
+                [token.symbol]
+            ));
+        });
+        
+        // Keep previous choice if the chain still has it
+        if (tokens.some(token => token.address === selected)) {
+            tokenSelect.value = selected;
+        }
+    }
+    
+    /**
+     * Get token chosen in the send asset picker (null for native coin)
+     */
+    async getSelectedSendToken(chain) {
+        const tokenAddress = document.getElementById('sendToken')?.value;
+        if (!tokenAddress || tokenAddress === 'native') {
+            return null;
+        }
+        
+        return TokenManager.getTokenInfo(tokenAddress, chain);
+    }
+    
     /**
      * Update send form
      */
@@ -608,14 +992,62 @@ class EternaWalletApp {
         const chain = chainSelect?.value || 'ethereum';
         
         try {
-            const balance = await this.wallet.getBalance(chain);
+            const token = await this.getSelectedSendToken(chain);
             const balanceElement = document.getElementById('availableBalance');
-            if (balanceElement) {
-                balanceElement.textContent = `${balance} ${Formatter.formatChainSymbol(chain)}`;
+            
+            if (token) {
+                const balance = await this.wallet.getTokenBalance(chain, token.address);
+                if (balanceElement) {
+                    balanceElement.textContent = `${balance} ${token.symbol}`;
+                }
+            } else {
+                const balance = await this.wallet.getBalance(chain);
+                if (balanceElement) {
+                    balanceElement.textContent = `${balance} ${Formatter.formatChainSymbol(chain)}`;
+                }
             }
         } catch (error) {
             console.error('Failed to update balance:', error);
         }
+        
+        this.updateNetworkFee();
+    }
+    
+    /**
+     * Update network fee estimate for selected fee speed
+     */
+    async updateNetworkFee() {
+        const chain = document.getElementById('sendChain')?.value || 'ethereum';
+        const speed = document.getElementById('sendFeeSpeed')?.value || 'normal';
+        const toAddress = document.getElementById('recipientAddress')?.value;
+        const amount = document.getElementById('sendAmount')?.value;
+        const token = document.getElementById('sendToken')?.value || 'native';
+        
+        try {
+            const fee = await this.wallet.estimateFee(chain, {
+                to: toAddress || this.wallet.getAddress(chain),
+                amount: amount || '0',
+                token: token,
+                speed: speed
+            });
+            
+            // Fees are paid in the native coin
+            const price = await Prices.getPrice({
+                chain: chain,
+                token: 'native',
+                symbol: Formatter.formatChainSymbol(chain)
+            }, Portfolio.currency);
+            
+            const feeElement = document.getElementById('networkFee');
+            if (feeElement) {
+                const fiat = price
+                    ? ` (${Formatter.formatTransactionFee(fee, price.currency, price.price)}${price.stale ? ' *' : ''})`
+                    : '';
+                feeElement.textContent = `~ ${fee} ${Formatter.formatChainSymbol(chain)}${fiat}`;
+            }
+        } catch (error) {
+            console.error('Failed to estimate network fee:', error);
+        }
     }
     
     /**
@@ -647,7 +1079,9 @@ class EternaWalletApp {
             // Create transaction
             const transaction = {
                 to: toAddress,
-                amount: amount
+                amount: amount,
+                token: document.getElementById('sendToken')?.value || 'native',
+                speed: document.getElementById('sendFeeSpeed')?.value || 'normal'
             };
             
             // Send transaction
@@ -691,6 +1125,7 @@ class EternaWalletApp {
     async onCreateWallet() {
         const password = document.getElementById('walletPassword')?.value;
         const confirmPassword = document.getElementById('confirmPassword')?.value;
+        const passphrase = document.getElementById('walletPassphrase')?.value || '';
         
         if (!password || !confirmPassword) {
             this.showError('Please enter password');
@@ -708,8 +1143,12 @@ class EternaWalletApp {
         }
         
         try {
-            // Create wallet
-            await this.wallet.createWallet(password);
+            // Create wallet (added to the wallet list)
+            Portfolio.stop();
+            Portfolio.reset();
+            await this.wallet.createWallet(password, null, passphrase);
+            document.getElementById('walletPassphrase').value = '';
+            this.isInitialized = true;
             
             // Show mnemonic screen
             this.showMnemonicScreen();
@@ -856,8 +1295,11 @@ class EternaWalletApp {
             return;
         }
         
+        const walletId = document.getElementById('unlockWalletSelect')?.value || null;
+        
         try {
-            await this.wallet.unlock(password);
+            await this.wallet.unlock(password, walletId);
+            this.isInitialized = true;
             
             // Clear password field
             document.getElementById('unlockPassword').value = '';
@@ -868,10 +1310,88 @@ class EternaWalletApp {
             
         } catch (error) {
             console.error('Failed to unlock wallet:', error);
-            this.showError('Invalid password');
+            document.getElementById('unlockPassword').value = '';
+            this.showError(error.message);
+            
+            // Erase mode removes the wallet after too many failures
+            if (!await this.wallet.isInitialized()) {
+                this.isInitialized = false;
+                this.showScreen('welcome');
+            } else if (walletId && !await Storage.getWalletInfo(walletId)) {
+                await this.initUnlockScreen();
+            }
         }
     }
     
+    /**
+     * Unlock wallet with its passkey
+     */
+    async onPasskeyUnlock() {
+        try {
+            const walletId = document.getElementById('unlockWalletSelect')?.value || null;
+            await this.wallet.unlockWithPasskey(walletId);
+            this.isInitialized = true;
+            
+            this.showScreen('dashboard');
+            this.showNotification('Wallet unlocked', 'success');
+            
+        } catch (error) {
+            console.error('Passkey unlock failed:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    /**
+     * Show passkey unlock for wallets that have it enabled
+     */
+    async updatePasskeyUnlock() {
+        const passkeyButton = document.getElementById('passkeyUnlockBtn');
+        if (!passkeyButton) return;
+        
+        const walletId = document.getElementById('unlockWalletSelect')?.value || null;
+        const walletInfo = await Storage.getWalletInfo(walletId);
+        
+        passkeyButton.hidden = !Passkey.isSupported() || !walletInfo || !walletInfo.hasPasskey;
+    }
+    
+    /**
+     * Show whether passkey unlock is enabled
+     */
+    async updatePasskeySetting() {
+        const passkeyButton = document.getElementById('passkeyBtn');
+        if (!passkeyButton) return;
+        
+        passkeyButton.textContent = await this.wallet.hasPasskey() ? 'Disable' : 'Enable';
+        passkeyButton.disabled = !Passkey.isSupported();
+    }
+    
+    /**
+     * Enable or disable passkey unlock for current wallet
+     */
+    async onTogglePasskey() {
+        try {
+            if (await this.wallet.hasPasskey()) {
+                if (!confirm('Disable passkey unlock? You will need your password to unlock.')) return;
+                
+                await this.wallet.disablePasskey();
+                this.showNotification('Passkey unlock disabled', 'success');
+                
+            } else {
+                const password = prompt('Wallet password');
+                if (!password) return;
+                
+                await this.wallet.enablePasskey(password);
+                this.showNotification('Passkey unlock enabled', 'success');
+            }
+            
+        } catch (error) {
+            console.error('Failed to update passkey unlock:', error);
+            this.showError(error.message);
+        }
+        
+        await this.updatePasskeySetting();
+    }
+    
     /**
      * Show recovery phrase
      */
@@ -886,6 +1406,31 @@ class EternaWalletApp {
         this.showNotification('Recovery phrase access requires additional security check');
     }
     
+    /**
+     * Change wallet password
+     */
+    async onChangePassword() {
+        const oldPassword = prompt('Current password');
+        if (!oldPassword) return;
+        
+        const newPassword = prompt('New password');
+        if (!newPassword) return;
+        
+        if (prompt('Repeat new password') !== newPassword) {
+            this.showError('Passwords do not match');
+            return;
+        }
+        
+        try {
+            await this.wallet.changePassword(oldPassword, newPassword);
+            this.showNotification('Password changed', 'success');
+            
+        } catch (error) {
+            console.error('Failed to change password:', error);
+            this.showError(error.message);
+        }
+    }
+    
     /**
      * Clear wallet data
      */
@@ -945,6 +1490,43 @@ class EternaWalletApp {
         input.setAttribute('type', type === 'password' ? 'text' : 'password');
     }
     
+    /**
+     * Prepare unlock screen with wallet picker
+     */
+    async initUnlockScreen() {
+        this.focusUnlockPassword();
+        
+        const walletSelect = document.getElementById('unlockWalletSelect');
+        if (!walletSelect) return;
+        
+        const wallets = await this.wallet.listWallets();
+        const active = await Storage.getWalletInfo();
+        
+        walletSelect.innerHTML = '';
+        wallets.forEach(wallet => {
+            const option = document.createElement('option');
+            option.value = wallet.id;
+            option.textContent = wallet.name;
+            option.selected = active && wallet.id === active.id;
+            walletSelect.appendChild(option);
+        });
+        
+        // Only offer a choice once there is more than one wallet
+        walletSelect.hidden = wallets.length < 2;
+        
+        await this.updatePasskeyUnlock();
+    }
+    
+    /**
+     * Offer a way back to unlock when adding another wallet
+     */
+    initWelcomeScreen() {
+        const unlockButton = document.getElementById('welcomeUnlockBtn');
+        if (unlockButton) {
+            unlockButton.hidden = !this.isInitialized;
+        }
+    }
+    
     /**
      * Focus unlock password field
      */
@@ -969,6 +1551,9 @@ class EternaWalletApp {
             activeTab.classList.add('active');
         }
         
+        this.currentChain = this.wallet.switchChain(chain);
+        this.updateConnectionStatus();
+        
         // Update assets for chain
         // This would load chain-specific assets
         console.log(`Switched to ${chain} chain`);
@@ -978,43 +1563,37 @@ class EternaWalletApp {
      * Set up auto-lock
      */
     setupAutoLock() {
-        // Auto-lock on page hidden
-        this.resetAutoLock();
+        // Manual lock, session expiry or another tab: the UI follows the wallet
+        this.wallet.on(WalletEvents.LOCKED, () => {
+            Portfolio.stop();
+            Portfolio.reset();
+            
+            if (this.currentScreen !== 'unlock' && this.currentScreen !== 'welcome') {
+                this.showScreen('unlock');
+            }
+        });
     }
     
     /**
-     * Reset auto-lock timer
+     * Record user activity for the session inactivity limit
      */
     resetAutoLock() {
-        if (this.userActivityTimer) {
-            clearTimeout(this.userActivityTimer);
-        }
-        
-        // Set new timer (5 minutes default)
-        this.userActivityTimer = setTimeout(() => {
-            if (!this.wallet.isLocked && document.hidden) {
-                this.wallet.lock();
-                this.showScreen('unlock');
-                this.showNotification('Wallet auto-locked due to inactivity');
-            }
-        }, 5 * 60 * 1000); // 5 minutes
+        Session.touch();
     }
     
     /**
      * Page hidden event
      */
     onPageHidden() {
-        // Consider locking wallet if auto-lock is enabled
-        console.log('Page hidden');
+        Session.onHidden();
     }
     
     /**
      * Page visible event
      */
     onPageVisible() {
-        // Reset auto-lock timer
-        this.resetAutoLock();
-        console.log('Page visible');
+        // Locks if a limit passed in background or the resume policy applies
+        Session.onVisible();
     }
     
     /**
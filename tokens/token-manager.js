@@ -36,7 +36,8 @@ class TokenManager {
     async getTokens(chain) {
         try {
             const defaultTokens = this.getDefaultTokens(chain);
-            const customTokens = await Storage.getTokens(chain);
+            const customTokens = (await Storage.getTokens(chain))
+                .filter(token => token.listed !== false);
             
             // Merge and remove duplicates
             const tokenMap = new Map();
@@ -69,6 +70,8 @@ class TokenManager {
             // Save to storage
             await Storage.saveToken(tokenData);
             
+            Wallet.events.emit(WalletEvents.TOKEN_ADDED, { token: tokenData });
+            
             return true;
             
         } catch (error) {
@@ -98,7 +101,8 @@ class TokenManager {
         
         // Check required fields
         for (const field of requiredFields) {
-            if (!tokenData[field]) {
+            // decimals may legitimately be 0
+            if (tokenData[field] === undefined || tokenData[field] === null || tokenData[field] === '') {
                 return false;
             }
         }
@@ -137,9 +141,8 @@ class TokenManager {
                 return foundToken;
             }
             
-            // Try to detect from blockchain (simplified)
-            // In production, this would query the token contract
-            return null;
+            // Read metadata from the token contract
+            return await this.resolveToken(address, chain);
             
         } catch (error) {
             console.error('Failed to detect token:', error);
@@ -147,6 +150,36 @@ class TokenManager {
         }
     }
     
+    /**
+     * Resolve token metadata from known lists, cache, or the contract
+     */
+    async resolveToken(address, chain) {
+        const matches = (token) => token.address.toLowerCase() === address.toLowerCase();
+        
+        const known = this.getDefaultTokens(chain).find(matches) ||
+            (await Storage.getTokens(chain)).find(matches);
+        if (known) {
+            return known;
+        }
+        
+        const chainManager = Wallet.chains.get(chain);
+        if (!chainManager || !chainManager.getTokenMetadata) {
+            throw new Error(`Token metadata not supported for chain: ${chain}`);
+        }
+        
+        const provider = Wallet.providers.get(chain) || (await chainManager.getProvider());
+        const metadata = await chainManager.getTokenMetadata(address, provider);
+        
+        if (!this.validateTokenData(metadata)) {
+            throw new Error('Contract returned invalid token metadata');
+        }
+        
+        // Cache without adding it to the user's token list
+        await Storage.saveToken({ ...metadata, listed: false });
+        
+        return metadata;
+    }
+    
     /**
      * Get token info
      */
@@ -234,12 +234,12 @@ class Formatter {
     }
     
     /**
-     * Format transaction fee
+     * Format transaction fee (rate converts native fee to currency)
      */
-    static formatTransactionFee(fee, currency = 'USD') {
+    static formatTransactionFee(fee, currency = 'USD', rate = 1) {
         if (!fee) return `0 ${currency}`;
         
-        const num = typeof fee === 'string' ? parseFloat(fee) : fee;
+        const num = (typeof fee === 'string' ? parseFloat(fee) : fee) * rate;
         
         if (num < 0.01) {
             return `< 0.01 ${currency}`;